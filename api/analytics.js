@@ -0,0 +1,50 @@
+// api/analytics.js
+// GET /api/analytics[?from=2026-01-01&to=2026-02-01&limit=50]   (X-Admin-Key: ADMIN_API_KEY)
+//   -> { from, to, totals, byTrack:[...], byCategory:[...], byTier:[...] }
+//   each row: { key, plays, completed, aborted, failed, bytes, listenMs, members }
+//
+// What members actually play, from the /api/stream play events (lib/analytics.js): use it to
+// decide which categories belong in which tier (TIERS_CONFIG / CATEGORY_CATALOG).
+// Defaults to the last 30 days; windows are capped at 92 days. Needs a readable PLAY_SINK
+// (store or jsonl).
+
+import { isAdminRequest } from '../lib/admin.js';
+import { readPlays, aggregatePlays } from '../lib/analytics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value, fallback) {
+  if (!value) return fallback;
+  const t = Date.parse(String(value));
+  return Number.isFinite(t) ? t : NaN;
+}
+
+export default async function handler(req, res) {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method Not Allowed' });
+
+  try {
+    const to = parseDate(req.query?.to, Date.now());
+    const from = parseDate(req.query?.from, to - 30 * DAY_MS);
+    if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'from/to must be dates with from before to' });
+    }
+
+    const events = await readPlays({ from, to });
+    if (!events) return res.status(501).json({ error: 'The configured PLAY_SINK cannot be read back (use store or jsonl)' });
+
+    const limit = Math.min(Math.max(parseInt(req.query?.limit || '50', 10) || 50, 1), 500);
+    const { totals, byTrack, byCategory, byTier } = aggregatePlays(events);
+    return res.status(200).json({
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      totals,
+      byTrack: byTrack.slice(0, limit),
+      byCategory,
+      byTier
+    });
+  } catch (e) {
+    console.error('analytics endpoint error:', e);
+    return res.status(500).json({ error: e.message || 'server error' });
+  }
+}
@@ -0,0 +1,35 @@
+// api/audit.js
+// GET /api/audit?email=...   or   ?bcId=123   (X-Admin-Key: ADMIN_API_KEY)
+//   -> { bcId, email, entries:[{ at, action, actor, email, bcId, from, to, reason }] }   newest first
+//
+// Membership history for one customer: group assigned/removed, customer created,
+// categories changed and admin overrides (see lib/audit.js).
+
+import { isAdminRequest } from '../lib/admin.js';
+import { auditHistory } from '../lib/audit.js';
+import { bc, withBcDeadline } from '../lib/bigcommerce.js';
+
+export default function handler(req, res) {
+  return withBcDeadline(() => handle(req, res));
+}
+
+async function handle(req, res) {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method Not Allowed' });
+
+  try {
+    let email = String(req.query?.email || '').trim().toLowerCase() || null;
+    let bcId = Number(req.query?.bcId || 0) || null;
+    if (!email && !bcId) return res.status(400).json({ error: 'Missing email or bcId' });
+
+    // Fill in the other half so entries stored under either key are found
+    if (!bcId) bcId = await bc.lookupCustomerIdByEmail(email);
+    if (!email && bcId) email = (await bc.getCustomer(bcId))?.email?.toLowerCase() || null;
+
+    const entries = await auditHistory({ bcId, email });
+    return res.status(200).json({ bcId, email, entries });
+  } catch (e) {
+    console.error('audit endpoint error:', e);
+    return res.status(500).json({ error: e.message || 'server error' });
+  }
+}
@@ -0,0 +1,72 @@
+// api/billing/checkout.js
+// POST /api/billing/checkout { tier: "standard", interval: "monthly" | "annual" }
+//   (member token: Authorization: Bearer ..., see lib/member-auth.js)
+//   -> { id, url }   redirect the browser to url
+//
+// Starts a Stripe Checkout subscription for a tier price from TIERS_CONFIG (lib/tiers.js, the
+// same mapping the webhook uses to pick the group). The session and subscription carry
+// metadata.bc_customer_id / bc_email, so api/stripe-webhook.js assigns the group to exactly
+// this BC customer. Members who already have a subscription get 409: plan changes and cards
+// go through the Billing Portal (api/billing/portal.js).
+//
+// CHECKOUT_SUCCESS_URL / CHECKOUT_CANCEL_URL default to SITE_ORIGIN/account?checkout=success|cancel.
+
+import { getMemberIdentity, allowStorefrontCors, siteOrigin } from '../../lib/member-auth.js';
+import { withBcDeadline } from '../../lib/bigcommerce.js';
+import { stripe } from '../../lib/stripe.js';
+import { STRIPE_BC_ID_KEY, findStripeCustomerId } from '../../lib/member-link.js';
+import { memberEntitlements } from '../../lib/entitlements.js';
+import { tierById, priceForTier } from '../../lib/tiers.js';
+
+export const config = { api: { bodyParser: true } };
+
+const OPEN_STATUSES = ['active', 'trialing', 'past_due', 'unpaid', 'incomplete'];
+
+export default function handler(req, res) {
+  allowStorefrontCors(req, res, 'POST,OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+  return withBcDeadline(() => handle(req, res));
+}
+
+async function handle(req, res) {
+  try {
+    const member = getMemberIdentity(req);
+    if (!member) return res.status(401).json({ error: 'Sign in required' });
+
+    const tier = tierById(req.body?.tier);
+    if (!tier) return res.status(400).json({ error: 'Unknown tier' });
+    const interval = String(req.body?.interval || 'monthly').trim().toLowerCase();
+    const priceId = priceForTier(tier.id, interval);
+    if (!priceId) return res.status(400).json({ error: `Tier ${tier.id} has no ${interval} price`, intervals: Object.keys(tier.prices) });
+
+    const ent = await memberEntitlements(member);
+    if (!ent.bcId) return res.status(404).json({ error: 'No store account for this member' });
+
+    const customerId = await findStripeCustomerId(ent.bcId, member.email);
+    if (customerId) {
+      const subs = await stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 100 });
+      if (subs.data.some(s => OPEN_STATUSES.includes(s.status))) {
+        return res.status(409).json({ error: 'You already have a membership; change it in the billing portal', portal: true });
+      }
+    }
+
+    const metadata = { [STRIPE_BC_ID_KEY]: String(ent.bcId), bc_email: member.email };
+    const session = await stripe.checkout.sessions.create({
+      mode: 'subscription',
+      line_items: [{ price: priceId, quantity: 1 }],
+      ...(customerId ? { customer: customerId } : { customer_email: member.email }),
+      client_reference_id: String(ent.bcId),
+      metadata,
+      subscription_data: { metadata },
+      success_url: process.env.CHECKOUT_SUCCESS_URL || `${siteOrigin()}/account?checkout=success`,
+      cancel_url: process.env.CHECKOUT_CANCEL_URL || `${siteOrigin()}/account?checkout=cancel`
+    });
+
+    console.log(`🛒 Checkout ${session.id} for BC ${ent.bcId} (${member.email}): ${tier.id}/${interval}`);
+    return res.status(200).json({ id: session.id, url: session.url });
+  } catch (e) {
+    console.error('checkout endpoint error:', e);
+    return res.status(e.status || e.statusCode || 500).json({ error: e.message || 'server error' });
+  }
+}
@@ -0,0 +1,43 @@
+// api/billing/portal.js
+// POST /api/billing/portal   (member token: Authorization: Bearer ..., see lib/member-auth.js)
+//   -> { url }   redirect the browser to url
+//
+// Stripe Billing Portal for existing members: update the card, switch tier/interval, cancel.
+// Plan changes come back through customer.subscription.updated in api/stripe-webhook.js.
+// BILLING_PORTAL_RETURN_URL defaults to SITE_ORIGIN/account; BILLING_PORTAL_CONFIGURATION
+// picks a non-default portal configuration (bpc_...).
+
+import { getMemberIdentity, allowStorefrontCors, siteOrigin } from '../../lib/member-auth.js';
+import { bc, withBcDeadline } from '../../lib/bigcommerce.js';
+import { stripe } from '../../lib/stripe.js';
+import { findStripeCustomerId } from '../../lib/member-link.js';
+
+export default function handler(req, res) {
+  allowStorefrontCors(req, res, 'POST,OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+  return withBcDeadline(() => handle(req, res));
+}
+
+async function handle(req, res) {
+  try {
+    const member = getMemberIdentity(req);
+    if (!member) return res.status(401).json({ error: 'Sign in required' });
+
+    const bcId = member.bcId || await bc.lookupCustomerIdByEmail(member.email);
+    if (!bcId) return res.status(404).json({ error: 'No store account for this member' });
+    const customerId = await findStripeCustomerId(bcId, member.email);
+    if (!customerId) return res.status(404).json({ error: 'No billing account yet; start a membership first' });
+
+    const configuration = (process.env.BILLING_PORTAL_CONFIGURATION || '').trim();
+    const session = await stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: process.env.BILLING_PORTAL_RETURN_URL || `${siteOrigin()}/account`,
+      ...(configuration ? { configuration } : {})
+    });
+    return res.status(200).json({ url: session.url });
+  } catch (e) {
+    console.error('billing portal endpoint error:', e);
+    return res.status(e.status || e.statusCode || 500).json({ error: e.message || 'server error' });
+  }
+}
@@ -1,21 +1,47 @@
 // api/categories.js
-// GET  /api/categories?email=...  -> { categories:[...], groupId, limit }
-// POST /api/categories { email, categories:[...] }  -> saves (enforces limit by BigCommerce group)
+// GET  /api/categories[?email=...]  -> { categories:[...], groupId, limit, nextChangeAllowedAt }
+// POST /api/categories { email?, categories:[...] }  -> saves (enforces limit by BigCommerce group)
 //
-// Stores selection inside the BigCommerce customer "notes" field under a tagged line:
-// [[BWE_CATEGORIES:focus,sleep]]
+// How often picks may change (swaps per billing period / cooldown) is set by
+// CATEGORY_SWAPS_PER_PERIOD / CATEGORY_COOLDOWN_DAYS, see lib/category-policy.js. A blocked
+// change gets 429 with nextChangeAllowedAt; X-Admin-Key bypasses the rule.
 //
-// Future-proof: change GROUP_LIMITS below when you add new tiers.
+// Callers must prove who they are with a member token (Authorization: Bearer ..., see
+// lib/member-auth.js); an email, if sent, must match it. With X-Admin-Key any email may be used.
+//
+// Stores the selection (categories, date chosen, plan at the time) in a BigCommerce customer
+// attribute; reads fall back to the legacy [[BWE_CATEGORIES:focus,sleep]] notes tag until
+// api/categories/migrate.js has run. See lib/category-store.js.
+//
+// Picks must exist in the category catalog (GET /api/categories/catalog, lib/catalog.js)
+// and be allowed for the member's group.
+//
+// Category limits per group come from the tier config (lib/tiers.js, TIERS_CONFIG).
 // Your existing Stripe webhook still controls which group a buyer belongs to.
 
+import { bc, withBcDeadline } from '../lib/bigcommerce.js';
+import { recordAudit } from '../lib/audit.js';
+import { getMemberIdentity, allowStorefrontCors } from '../lib/member-auth.js';
+import { readSelection, writeSelection } from '../lib/category-store.js';
+import { loadCatalog, validateSelection } from '../lib/catalog.js';
+import { slugify } from '../lib/library.js';
+import { limitForGroup } from '../lib/tiers.js';
+import {
+  loadCategoryChangePolicy,
+  isLimited,
+  currentBillingPeriod,
+  checkCategoryChange,
+  swapsUsed
+} from '../lib/category-policy.js';
+
 export const config = { api: { bodyParser: true } };
 
-// ---- CONFIG: group -> max categories (works TODAY for Intro=2; ready for later) ----
-const GROUP_LIMITS = {
-  2: 2, // Intro (live today)
-  3: 3, // Standard (later)
-  4: 4  // Collective (later)
-};
+const CHANGE_POLICY = loadCategoryChangePolicy();
+
+// Billing period is only needed to count swaps
+function billingPeriodFor(bcId, email) {
+  return CHANGE_POLICY.swapsPerPeriod > 0 ? currentBillingPeriod(bcId, email) : null;
+}
 
 // ---- ADMIN KEY for override (one extra category) ----
 const ADMIN_CATS_KEY = (process.env.ADMIN_CATS_KEY || '').trim();
@@ -26,146 +52,74 @@ function isAdmin(req) {
   return headerKey && headerKey === ADMIN_CATS_KEY;
 }
 
-// ---- BigCommerce helpers ----
-function bcHeaders() {
-  return {
-    'X-Auth-Client': process.env.BC_CLIENT_ID,
-    'X-Auth-Token': process.env.BC_ACCESS_TOKEN,
-    'Content-Type': 'application/json',
-    'Accept': 'application/json'
-  };
-}
-function bcBaseV3() {
-  const hash = (process.env.BC_STORE_HASH || '').trim();
-  return `https://api.bigcommerce.com/stores/${hash}/v3`;
-}
-function bcBaseV2() {
-  const hash = (process.env.BC_STORE_HASH || '').trim();
-  return `https://api.bigcommerce.com/stores/${hash}/v2`;
-}
+// Whose categories this request is about -> { email, bcId } or { status, error }
+function resolveMember(req, requestedEmail) {
+  const requested = String(requestedEmail || '').trim().toLowerCase();
+  if (requested && isAdmin(req)) return { email: requested, bcId: null };
 
-async function lookupCustomerByEmail(email) {
-  const normalized = (email || '').trim().toLowerCase();
-
-  // Try v3 lookup
-  try {
-    const r = await fetch(`${bcBaseV3()}/customers/lookup`, {
-      method: 'POST', headers: bcHeaders(),
-      body: JSON.stringify({ emails: [normalized] })
-    });
-    const txt = await r.text().catch(() => '');
-    if (!r.ok) throw new Error(`v3 lookup ${r.status}: ${txt}`);
-    const json = JSON.parse(txt || '{}');
-    const first = Array.isArray(json?.data)
-      ? json.data.find(x => (x?.email || '').toLowerCase() === normalized)
-      : null;
-    if (first) return first.id;
-  } catch (_) { /* fall through to v2 */ }
-
-  // Fallback v2 search
-  const r2 = await fetch(`${bcBaseV2()}/customers?email=${encodeURIComponent(normalized)}`, {
-    method: 'GET', headers: bcHeaders()
-  });
-  const txt2 = await r2.text().catch(() => '');
-  if (!r2.ok) throw new Error(`v2 lookup ${r2.status}: ${txt2}`);
-  const arr = JSON.parse(txt2 || '[]');
-  const first = Array.isArray(arr)
-    ? arr.find(x => (x?.email || '').toLowerCase() === normalized)
-    : null;
-  return first?.id || null;
-}
-
-async function getCustomerById(id) {
-  const r = await fetch(`${bcBaseV3()}/customers?id:in=${id}`, { headers: bcHeaders() });
-  const txt = await r.text().catch(() => '');
-  if (!r.ok) throw new Error(`v3 get ${r.status}: ${txt}`);
-  const json = JSON.parse(txt || '{}');
-  return Array.isArray(json?.data) ? json.data[0] : null;
+  const member = getMemberIdentity(req);
+  if (!member) return { status: 401, error: 'Sign in required' };
+  if (requested && requested !== member.email) return { status: 403, error: 'Email does not match the signed-in member' };
+  return { email: member.email, bcId: member.bcId };
 }
 
-// NOTE: v3 customers CREATE expects a ROOT-LEVEL ARRAY payload.
-async function createCustomer(email) {
-  const r = await fetch(`${bcBaseV3()}/customers`, {
-    method: 'POST', headers: bcHeaders(),
-    // IMPORTANT: array at the root
-    body: JSON.stringify([{ email, first_name: 'Member', last_name: 'Account' }])
-  });
-  const txt = await r.text().catch(() => '');
-  if (!r.ok) throw new Error(`v3 create ${r.status}: ${txt}`);
-  const json = JSON.parse(txt || '{}');
-  return Array.isArray(json?.data) ? json.data[0]?.id : null;
+export default function handler(req, res) {
+  allowStorefrontCors(req, res);
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  // All BigCommerce calls share one time budget so we fail clearly before the function limit
+  return withBcDeadline(() => handle(req, res));
 }
 
-// NOTE: v3 customers UPDATE expects a ROOT-LEVEL ARRAY payload.
-async function updateCustomerNotes(id, notes) {
-  const r = await fetch(`${bcBaseV3()}/customers`, {
-    method: 'PUT', headers: bcHeaders(),
-    // IMPORTANT: array at the root
-    body: JSON.stringify([{ id: Number(id), notes }])
-  });
-  const txt = await r.text().catch(() => '');
-  if (!r.ok) throw new Error(`v3 update ${r.status}: ${txt}`);
-}
-
-// ---- encode/decode categories inside notes (non-destructive) ----
-const TAG_START = '[[BWE_CATEGORIES:';
-const TAG_END = ']]';
-
-function extractCatsFromNotes(notes) {
-  const s = String(notes || '');
-  const i = s.indexOf(TAG_START);
-  if (i === -1) return [];
-  const j = s.indexOf(TAG_END, i + TAG_START.length);
-  if (j === -1) return [];
-  const raw = s.slice(i + TAG_START.length, j).trim();
-  return raw ? raw.split(',').map(x => x.trim()).filter(Boolean) : [];
-}
-function setCatsInNotes(prevNotes, cats) {
-  const s = String(prevNotes || '');
-  const tag = `${TAG_START}${cats.join(',')}${TAG_END}`;
-  const i = s.indexOf(TAG_START);
-  if (i === -1) return (s ? s + '\n' : '') + tag;
-  const j = s.indexOf(TAG_END, i + TAG_START.length);
-  if (j === -1) return (s ? s + '\n' : '') + tag;
-  return s.slice(0, i) + tag + s.slice(j + TAG_END.length);
-}
-
-function limitForGroup(groupId) {
-  return GROUP_LIMITS[Number(groupId)] || 2; // default to 2 if unknown
-}
-
-export default async function handler(req, res) {
+async function handle(req, res) {
   try {
     if (req.method === 'GET') {
-      const email = (req.query?.email || '').trim();
-      if (!email) return res.status(400).json({ error: 'Missing email' });
+      const who = resolveMember(req, req.query?.email);
+      if (who.error) return res.status(who.status).json({ error: who.error });
 
-      const id = await lookupCustomerByEmail(email);
-      if (!id) return res.status(200).json({ categories: [], groupId: 0, limit: 2 });
+      const id = who.bcId || await bc.lookupCustomerIdByEmail(who.email);
+      if (!id) return res.status(200).json({ categories: [], groupId: 0, limit: 0, nextChangeAllowedAt: null });
 
-      const cust = await getCustomerById(id);
+      const cust = await bc.getCustomer(id, { include: 'attributes' });
       const groupId = Number(cust?.customer_group_id || 0);
-      const cats = extractCatsFromNotes(cust?.notes || '');
+      const selection = await readSelection(id, cust);
       const limit = limitForGroup(groupId);
 
-      return res.status(200).json({ categories: cats, groupId, limit });
+      let nextChangeAllowedAt = null;
+      if (isLimited(CHANGE_POLICY)) {
+        const period = await billingPeriodFor(id, who.email);
+        nextChangeAllowedAt = checkCategoryChange(selection, null, CHANGE_POLICY, period).nextChangeAllowedAt;
+      }
+
+      return res.status(200).json({
+        categories: selection.categories,
+        chosenAt: selection.chosenAt,
+        groupId,
+        limit,
+        nextChangeAllowedAt
+      });
     }
 
     if (req.method === 'POST') {
-      const email = (req.body?.email || '').trim();
+      const who = resolveMember(req, req.body?.email);
+      if (who.error) return res.status(who.status).json({ error: who.error });
+      const email = who.email;
       let cats = Array.isArray(req.body?.categories) ? req.body.categories : [];
-      if (!email) return res.status(400).json({ error: 'Missing email' });
 
-      let id = await lookupCustomerByEmail(email);
-      if (!id) id = await createCustomer(email);
-      if (!id) return res.status(500).json({ error: 'Could not resolve or create customer' });
+      const adminUser = isAdmin(req);
+      const actor = adminUser ? 'admin' : 'member';
+
+      // Unknown emails have no tier to pick for (the webhook creates members when they pay)
+      const id = who.bcId || await bc.lookupCustomerIdByEmail(email);
+      if (!id) return res.status(403).json({ error: 'No active membership tier for this customer', groupId: 0, limit: 0 });
 
-      const cust = await getCustomerById(id);
+      const cust = await bc.getCustomer(id, { include: 'attributes' });
       const groupId = Number(cust?.customer_group_id || 0);
       const limit = limitForGroup(groupId);
+      if (!limit) {
+        return res.status(403).json({ error: 'No active membership tier for this customer', groupId, limit: 0 });
+      }
 
       // NEW: detect admin override & allow one extra category
-      const adminUser = isAdmin(req);
       const allowExtra = adminUser && req.body && req.body.allowExtra === true;
 
       let allowedLimit = limit;
@@ -174,7 +128,7 @@ export default async function handler(req, res) {
       }
 
       // Enforce limit for the member’s group (with possible +1 for admin override)
-      cats = cats.map(c => String(c || '').trim().toLowerCase()).filter(Boolean);
+      cats = cats.map(slugify).filter(Boolean);
       const unique = Array.from(new Set(cats));
       if (unique.length !== allowedLimit) {
         return res.status(400).json({
@@ -184,8 +138,53 @@ export default async function handler(req, res) {
         });
       }
 
-      const newNotes = setCatsInNotes(cust?.notes || '', unique);
-      await updateCustomerNotes(id, newNotes);
+      // Only real categories from the library, and only those this group may pick
+      const catalog = await loadCatalog();
+      if (!catalog.length) return res.status(503).json({ error: 'Category catalog unavailable, try again shortly' });
+      const check = validateSelection(catalog, unique, groupId);
+      if (!check.ok) {
+        const parts = [];
+        if (check.unknown.length) parts.push(`unknown: ${check.unknown.join(', ')}`);
+        if (check.notAllowed.length) parts.push(`not included in your plan: ${check.notAllowed.join(', ')}`);
+        return res.status(400).json({ error: `Invalid categories (${parts.join('; ')})`, ...check });
+      }
+
+      const selection = await readSelection(id, cust);
+      const previous = selection.categories;
+
+      // Swap quota / cooldown (admins may always change)
+      const period = isLimited(CHANGE_POLICY) ? await billingPeriodFor(id, email) : null;
+      const change = checkCategoryChange(selection, unique, CHANGE_POLICY, period);
+      if (!change.allowed && !adminUser) {
+        if (change.nextChangeAllowedAt) {
+          const waitSec = Math.ceil((Date.parse(change.nextChangeAllowedAt) - Date.now()) / 1000);
+          res.setHeader('Retry-After', String(Math.max(1, waitSec)));
+        }
+        return res.status(429).json({
+          error: `Categories can't be changed yet: ${change.reason}`,
+          nextChangeAllowedAt: change.nextChangeAllowedAt,
+          categories: previous
+        });
+      }
+      const counted = change.counts && !adminUser;
+      const used = swapsUsed(selection, period);
+
+      await writeSelection(id, cust, {
+        categories: unique,
+        groupId,
+        // A save that only keeps or adds picks keeps the date the picks were actually made
+        chosenAt: change.counts || !previous.length ? new Date().toISOString() : selection.chosenAt,
+        periodStart: period?.start || null,
+        swaps: used + (counted ? 1 : 0)
+      });
+
+      await recordAudit({ action: 'categories_changed', actor, email, bcId: id, from: previous, to: unique, reason: `saved via /api/categories (limit ${allowedLimit})` });
+      if (allowExtra) {
+        await recordAudit({ action: 'admin_override', actor, email, bcId: id, from: limit, to: allowedLimit, reason: 'one extra category allowed' });
+      }
+      if (!change.allowed && adminUser) {
+        await recordAudit({ action: 'admin_override', actor, email, bcId: id, from: previous, to: unique, reason: `change limit bypassed (${change.reason})` });
+      }
 
       return res.status(200).json({ ok: true, categories: unique, groupId, limit: allowedLimit });
     }
@@ -0,0 +1,26 @@
+// api/categories/catalog.js
+// GET /api/categories/catalog[?groupId=3]
+//   -> { categories:[{ slug, name, description, groups }] }
+// Public list of valid categories for the storefront picker (see lib/catalog.js).
+// With groupId, only the categories that group may pick are returned.
+
+import { loadCatalog } from '../../lib/catalog.js';
+import { allowStorefrontCors } from '../../lib/member-auth.js';
+
+export default async function handler(req, res) {
+  allowStorefrontCors(req, res, 'GET,OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method Not Allowed' });
+
+  try {
+    let categories = await loadCatalog();
+    const groupId = Number(req.query?.groupId || 0);
+    if (groupId) categories = categories.filter(c => !c.groups || c.groups.includes(groupId));
+
+    res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=300');
+    return res.status(200).json({ categories });
+  } catch (e) {
+    console.error('catalog endpoint error:', e);
+    return res.status(500).json({ error: e.message || 'server error' });
+  }
+}
@@ -0,0 +1,83 @@
+// api/categories/migrate.js
+// One-time move of category selections from the legacy notes tag into the structured
+// BigCommerce customer attribute (BC_CATEGORIES_ATTRIBUTE_ID). X-Admin-Key: ADMIN_API_KEY.
+//
+// GET|POST /api/categories/migrate
+//   ?page=1      BigCommerce customer page to process (50 per page); follow nextPage
+//   ?apply=1     write the attributes (default is a dry run listing what would move)
+//   ?strip=1     also remove the [[BWE_CATEGORIES:...]] tag from the notes once copied
+//
+// Customers that already have a valid attribute are left alone, so re-running is safe.
+// Legacy picks are copied as catalog slugs ("Deep Sleep" -> "deep-sleep"), like POST /api/categories.
+
+import { isAdminRequest } from '../../lib/admin.js';
+import { bc, withBcDeadline } from '../../lib/bigcommerce.js';
+import {
+  categoriesAttributeId,
+  extractCatsFromNotes,
+  removeCatsFromNotes,
+  readSelection,
+  writeSelection
+} from '../../lib/category-store.js';
+
+export const config = { api: { bodyParser: true } };
+
+function flag(v) {
+  return v === true || v === '1' || v === 'true';
+}
+
+export default function handler(req, res) {
+  return withBcDeadline(() => handle(req, res));
+}
+
+async function handle(req, res) {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+  if (!categoriesAttributeId()) return res.status(400).json({ error: 'BC_CATEGORIES_ATTRIBUTE_ID is not set' });
+
+  const params = { ...(req.query || {}), ...(req.body || {}) };
+  const page = Math.max(parseInt(params.page || '1', 10) || 1, 1);
+  const apply = flag(params.apply);
+  const strip = flag(params.strip);
+
+  try {
+    const { customers, totalPages } = await bc.listCustomers({ page, limit: 50, include: 'attributes' });
+    const moved = [];
+
+    for (const cust of customers) {
+      const legacy = extractCatsFromNotes(cust.notes || '');
+      if (!legacy.length) continue;
+      const current = await readSelection(cust.id, cust);
+      const entry = { bcId: cust.id, email: cust.email, categories: legacy, alreadyMigrated: current.source === 'attribute' };
+      if (entry.alreadyMigrated && !strip) continue;
+
+      if (apply) {
+        try {
+          if (!entry.alreadyMigrated) {
+            // The legacy tag never recorded when it was chosen
+            await writeSelection(cust.id, cust, { categories: legacy, groupId: cust.customer_group_id, chosenAt: null });
+          }
+          if (strip) await bc.updateCustomerNotes(cust.id, removeCatsFromNotes(cust.notes));
+          entry.applied = true;
+        } catch (e) {
+          entry.error = e.message;
+        }
+      }
+      moved.push(entry);
+    }
+
+    console.log(`categories migrate page ${page}/${totalPages}${apply ? '' : ' (dry run)'}: ${moved.length} customers`);
+    return res.status(200).json({
+      ok: true,
+      apply,
+      strip,
+      page,
+      totalPages,
+      nextPage: page < totalPages ? page + 1 : null,
+      customers: moved
+    });
+  } catch (e) {
+    console.error('categories migrate error:', e);
+    return res.status(500).json({ error: e.message || 'server error' });
+  }
+}
@@ -1,18 +1,20 @@
 // /api/cats.js
 // Shim for frontend calling /api/cats with key="email::groupId".
-// Proxies to /api/categories and adds permissive CORS so the store can call it.
+// Proxies to /api/categories, forwarding the member token (Authorization / X-Member-Token):
+// /api/categories verifies it and rejects a key whose email is not the signed-in member's.
+// CORS is limited to SITE_ORIGIN.
 
-export const config = { api: { bodyParser: true } };
+import { allowStorefrontCors } from '../lib/member-auth.js';
 
-function allowCORS(req, res) {
-  // If you want to lock this down later: replace '*' with your domain.
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+export const config = { api: { bodyParser: true } };
 
-  // Echo back whatever headers the browser requests during preflight.
-  const reqHdrs = String(req.headers['access-control-request-headers'] || '').trim();
-  const fallback = 'Content-Type, X-Admin-Key, Accept';
-  res.setHeader('Access-Control-Allow-Headers', reqHdrs || fallback);
+// Identity + admin headers passed through to /api/categories
+function forwardedAuth(req) {
+  const out = {};
+  if (req.headers['authorization']) out['Authorization'] = String(req.headers['authorization']);
+  if (req.headers['x-member-token']) out['X-Member-Token'] = String(req.headers['x-member-token']);
+  if (req.headers['x-admin-key']) out['X-Admin-Key'] = String(req.headers['x-admin-key']);
+  return out;
 }
 
 function emailFromKey(key) {
@@ -21,7 +23,7 @@ function emailFromKey(key) {
 }
 
 export default async function handler(req, res) {
-  allowCORS(req, res);
+  allowStorefrontCors(req, res);
   if (req.method === 'OPTIONS') return res.status(204).end();
 
   try {
@@ -30,13 +32,15 @@ export default async function handler(req, res) {
     if (req.method === 'GET') {
       const key = (req.query?.key || '').trim();
       const email = emailFromKey(key);
-      if (!email) return res.status(200).json({ categories: [] });
-
-      const r = await fetch(`${base}/api/categories?email=${encodeURIComponent(email)}`, {
+      // The key's email is optional now: the member token already says who this is
+      const qs = email ? `?email=${encodeURIComponent(email)}` : '';
+      const r = await fetch(`${base}/api/categories${qs}`, {
         method: 'GET',
-        headers: { 'Accept': 'application/json' }
+        headers: { 'Accept': 'application/json', ...forwardedAuth(req) }
       });
       const txt = await r.text().catch(() => '');
+      // Let the storefront know it must (re)authenticate
+      if (r.status === 401 || r.status === 403) return res.status(r.status).send(txt || 'Forbidden');
       if (!r.ok) return res.status(200).json({ categories: [] });
 
       const j = JSON.parse(txt || '{}');
@@ -51,18 +55,14 @@ export default async function handler(req, res) {
       // NEW: pass through allowExtra (if present)
       const allowExtra = !!(req.body && req.body.allowExtra);
 
-      if (!email) return res.status(400).json({ error: 'Missing email in key' });
-
-      const adminKey = req.headers['x-admin-key'] || '';
-
       const r = await fetch(`${base}/api/categories`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Accept': 'application/json',
-          'X-Admin-Key': String(adminKey)
+          ...forwardedAuth(req)
         },
-        body: JSON.stringify({ email, categories, allowExtra }) // ← include allowExtra
+        body: JSON.stringify({ email: email || undefined, categories, allowExtra }) // ← include allowExtra
       });
       const txt = await r.text().catch(() => '');
       if (!r.ok) return res.status(r.status).send(txt || 'Error');
@@ -0,0 +1,77 @@
+// api/dead-letters.js
+// Stripe events that failed to apply to BigCommerce (X-Admin-Key: ADMIN_API_KEY)
+//
+// GET    /api/dead-letters               -> { items:[{ eventId, type, attempts, error, email, priceIds, groupId, ... }] }
+// GET    /api/dead-letters?id=evt_...    -> full entry, including the original event
+// POST   /api/dead-letters { id }        -> replay one
+// POST   /api/dead-letters { ids:[...] } -> replay several
+// POST   /api/dead-letters { all:true, limit?:10 } -> replay the oldest N
+// DELETE /api/dead-letters?id=evt_...    -> discard without replaying
+//
+// Replays go through the same ledger as live webhooks: an event that was applied in the
+// meantime (duplicate) or superseded by a newer one for that customer (stale) is dropped.
+
+import { isAdminRequest } from '../lib/admin.js';
+import { getFailure, listFailures, removeFailure } from '../lib/dead-letter.js';
+import { handleStripeEvent } from './stripe-webhook.js';
+
+export const config = { api: { bodyParser: true } };
+
+async function replay(eventId) {
+  const entry = await getFailure(eventId);
+  if (!entry) return { id: eventId, ok: false, error: 'not found' };
+  try {
+    const result = await handleStripeEvent(entry.event);
+    if (result.skipped) await removeFailure(eventId);
+    return { id: eventId, ...result };
+  } catch (e) {
+    return { id: eventId, ok: false, error: e.message };
+  }
+}
+
+export default async function handler(req, res) {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    if (req.method === 'GET') {
+      const id = String(req.query?.id || '').trim();
+      if (!id) return res.status(200).json({ items: await listFailures() });
+      const entry = await getFailure(id);
+      if (!entry) return res.status(404).json({ error: 'Not found' });
+      return res.status(200).json(entry);
+    }
+
+    if (req.method === 'POST') {
+      let ids = [];
+      if (req.body?.all === true) {
+        const limit = Math.min(Math.max(parseInt(req.body.limit || '10', 10) || 10, 1), 50);
+        ids = (await listFailures()).slice(0, limit).map(x => x.eventId);
+      } else if (Array.isArray(req.body?.ids)) {
+        ids = req.body.ids.map(x => String(x || '').trim()).filter(Boolean);
+      } else if (req.body?.id) {
+        ids = [String(req.body.id).trim()];
+      }
+      if (!ids.length) return res.status(400).json({ error: 'Provide id, ids or all:true' });
+
+      // One at a time: events for the same customer must apply in order
+      const results = [];
+      for (const id of ids) results.push(await replay(id));
+      const failed = results.filter(r => !r.ok).length;
+      console.log(`dead-letter replay: ${results.length - failed} ok, ${failed} failed`);
+      return res.status(200).json({ ok: failed === 0, results });
+    }
+
+    if (req.method === 'DELETE') {
+      const id = String(req.query?.id || '').trim();
+      if (!id) return res.status(400).json({ error: 'Missing id' });
+      await removeFailure(id);
+      console.log(`dead-letter discarded: ${id}`);
+      return res.status(200).json({ ok: true });
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (e) {
+    console.error('dead-letters endpoint error:', e);
+    return res.status(500).json({ error: e.message || 'server error' });
+  }
+}
@@ -1,47 +1,108 @@
 // api/library.js
-export default async function handler(req, res) {
-  try {
-    // Use env var if present, otherwise fall back to your known CSV (safe for now)
-    const CSV =
-      process.env.CSV_SOURCE_URL ||
-      'https://store-dkje2os.mybigcommerce.com/content/library-7f4b9a3c.csv';
-
-    // Basic sanity check to avoid cryptic errors
-    if (!CSV || !/^https?:\/\//i.test(CSV)) {
-      console.error('Bad CSV url:', CSV);
-      res.status(500).send('Server misconfigured: CSV URL is missing or invalid.');
-      return;
-    }
+// GET /api/library                 -> the library CSV without its audio column (public catalogue
+//   listing; the files themselves are only reachable through signed /api/stream links)
+//   Cached per instance and at the edge (LIBRARY_CACHE_TTL_SECONDS), served stale if the
+//   upstream is down (LIBRARY_STALE_IF_ERROR_SECONDS), see lib/library.js. Sends ETag /
+//   Last-Modified and answers If-None-Match / If-Modified-Since with 304.
+// GET /api/library?member=1[&format=json|csv]
+//   Entitlement-aware feed: needs a member token (Authorization: Bearer ..., lib/member-auth.js)
+//   and returns only the tracks in the member's saved categories for their tier.
+//   Audio URLs (LIBRARY_AUDIO_COLUMN, see lib/library.js)
+//   are replaced with signed /api/stream links valid for the tier's streaming.maxMinutes.
+import {
+  getLibraryCsv,
+  libraryCacheSeconds,
+  parseCsv,
+  toCsv,
+  publicLibraryCsv,
+  audioColumn,
+  trackIdOf
+} from '../lib/library.js';
+import { getMemberIdentity, allowStorefrontCors } from '../lib/member-auth.js';
+import { withBcDeadline } from '../lib/bigcommerce.js';
+import { memberEntitlements, isRowEntitled } from '../lib/entitlements.js';
+import { signStreamUrl } from '../lib/stream-token.js';
+
+// Does the client already have this version? (If-None-Match wins over If-Modified-Since)
+function notModified(req, lib) {
+  const inm = String(req.headers['if-none-match'] || '').trim();
+  if (inm) {
+    const strip = t => t.trim().replace(/^W\//, '');
+    return inm === '*' || inm.split(',').map(strip).includes(strip(lib.etag));
+  }
+  const ims = Date.parse(String(req.headers['if-modified-since'] || ''));
+  const lm = Date.parse(lib.lastModified);
+  return Number.isFinite(ims) && Number.isFinite(lm) && lm <= ims;
+}
+
+// opts: signStreamUrl options (ttlSeconds, memberId, maxConcurrent, tierId, req)
+function signRows(rows, headers, opts) {
+  const col = audioColumn(headers);
+  if (!col) return rows;
+  return rows.map(r => (r[col] ? { ...r, [col]: signStreamUrl(trackIdOf(r), opts) } : r));
+}
+
+async function memberFeed(req, res, csvText) {
+  const member = getMemberIdentity(req);
+  if (!member) return res.status(401).json({ error: 'Sign in required' });
 
-    // Fetch the CSV from BigCommerce (no caching so updates show up quickly)
-    const upstream = await fetch(CSV, {
-      redirect: 'follow',
-      // headers: { 'User-Agent': 'bwe-csv-proxy/1.0' } // optional
-    });
+  const ent = await withBcDeadline(() => memberEntitlements(member));
+  if (!ent.tier) return res.status(403).json({ error: 'No active membership tier for this customer' });
 
-    if (!upstream.ok) {
-      const text = await upstream.text().catch(() => '');
-      console.error('Upstream fetch failed:', upstream.status, text.slice(0, 200));
-      res.status(502).send('Upstream CSV fetch failed.');
+  const rows = parseCsv(csvText);
+  const headers = Object.keys(rows[0] || {});
+  const entitled = signRows(rows.filter(r => isRowEntitled(r, ent)), headers, {
+    ttlSeconds: ent.tier.streaming.maxMinutes * 60,
+    memberId: ent.bcId,
+    maxConcurrent: ent.tier.streaming.maxConcurrent,
+    tierId: ent.tier.id,
+    req
+  });
+
+  // Links inside expire, so never cache this response
+  res.setHeader('Cache-Control', 'private, no-store');
+  if (String(req.query?.format || '').toLowerCase() === 'json') {
+    // id is what /api/stream/token takes to issue a fresh link later
+    const tracks = entitled.map(r => ({ id: trackIdOf(r), ...r }));
+    return res.status(200).json({ tier: ent.tier.id, categories: ent.categories, tracks });
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  return res.status(200).send(toCsv(entitled, headers));
+}
+
+export default async function handler(req, res) {
+  // CORS: allow your storefront when calling from the browser (incl. the member token header)
+  allowStorefrontCors(req, res, 'GET,OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+
+  try {
+    // Fetch the CSV from BigCommerce (cached briefly; stale copy if the upstream is down)
+    let lib;
+    try {
+      lib = await getLibraryCsv();
+    } catch (err) {
+      console.error(err.message);
+      if (err.status === 500) res.status(500).send('Server misconfigured: CSV URL is missing or invalid.');
+      else res.status(502).send('Upstream CSV fetch failed.');
       return;
     }
 
-    const csvText = await upstream.text();
-
     // Security & SEO headers (bots shouldn’t index this endpoint)
     res.setHeader('Content-Type', 'text/csv; charset=utf-8');
     res.setHeader('X-Content-Type-Options', 'nosniff');
     res.setHeader('X-Robots-Tag', 'noindex, nofollow');
 
-    // CORS: allow your storefront when calling from the browser
-    const allowed = process.env.SITE_ORIGIN || 'https://www.brainwaveentrainmentstore.net';
-    const origin = req.headers.origin || '';
-    if (origin === allowed) {
-      res.setHeader('Access-Control-Allow-Origin', origin);
-      res.setHeader('Vary', 'Origin');
-    }
+    res.setHeader('X-Library-Cache', lib.cache);
+    if (req.query?.member) return await memberFeed(req, res, lib.text);
+
+    const listing = publicLibraryCsv(lib.text);
+    const { ttl, staleIfError } = libraryCacheSeconds();
+    res.setHeader('ETag', listing.etag);
+    res.setHeader('Last-Modified', lib.lastModified);
+    res.setHeader('Cache-Control', `public, max-age=${ttl}, s-maxage=${ttl}, stale-while-revalidate=${ttl}, stale-if-error=${staleIfError}`);
+    if (notModified(req, { ...lib, etag: listing.etag })) return res.status(304).end();
 
-    res.status(200).send(csvText);
+    res.status(200).send(listing.text);
   } catch (err) {
     console.error('Library endpoint crashed:', err);
     res.status(500).send('Internal error fetching CSV.');
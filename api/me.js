@@ -0,0 +1,122 @@
+// api/me.js
+// GET /api/me   (member token: Authorization: Bearer ..., see lib/member-auth.js)
+// GET /api/me?email=...   with X-Admin-Key: ADMIN_API_KEY (support looking at a member)
+//   -> {
+//        email, bcId, groupId,
+//        tier: { id, name } | null, categoryLimit,
+//        categories, chosenAt, nextChangeAllowedAt,
+//        subscription: { id, status, priceId, interval, currentPeriodEnd, cancelAtPeriodEnd } | null,
+//        dunning: { state, attempts, graceEndsAt, nextPaymentAttempt } | null
+//      }
+// Everything the storefront's account page needs in one call, instead of guessing the group
+// from the /api/cats key. dunning is null unless the subscription is past_due; state is what the
+// webhook will do about it (lib/dunning.js): keep | grace | remove.
+
+import { isAdminRequest } from '../lib/admin.js';
+import { getMemberIdentity, allowStorefrontCors } from '../lib/member-auth.js';
+import { withBcDeadline } from '../lib/bigcommerce.js';
+import { stripe } from '../lib/stripe.js';
+import { findStripeCustomerId } from '../lib/member-link.js';
+import { memberEntitlements } from '../lib/entitlements.js';
+import { tierByPrice } from '../lib/tiers.js';
+import { loadDunningPolicy, decideOnPaymentFailed } from '../lib/dunning.js';
+import {
+  loadCategoryChangePolicy,
+  isLimited,
+  checkCategoryChange,
+  billingPeriodFromSubscriptions
+} from '../lib/category-policy.js';
+
+const CHANGE_POLICY = loadCategoryChangePolicy();
+// Same env the webhook reads, so state matches what it will do
+const DUNNING_POLICY = loadDunningPolicy();
+const CURRENT_STATUSES = ['active', 'trialing', 'past_due', 'unpaid', 'incomplete'];
+
+function iso(sec) {
+  return sec ? new Date(sec * 1000).toISOString() : null;
+}
+
+async function subscriptionsOf(customerId) {
+  if (!customerId) return [];
+  const subs = [];
+  for await (const sub of stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 100, expand: ['data.latest_invoice'] })) {
+    subs.push(sub);
+  }
+  return subs;
+}
+
+// The subscription behind the member's access: the one whose price maps to their group,
+// else the most recent one that isn't over yet
+function primarySubscription(subs, groupId) {
+  const current = subs.filter(s => CURRENT_STATUSES.includes(s.status)).sort((a, b) => b.created - a.created);
+  const grantsGroup = sub => (sub.items?.data || []).some(i => tierByPrice(i?.price?.id)?.groupId === groupId);
+  return current.find(grantsGroup) || current[0] || null;
+}
+
+function describeSubscription(sub) {
+  const price = sub.items?.data?.[0]?.price || null;
+  return {
+    id: sub.id,
+    status: sub.status,
+    priceId: price?.id || null,
+    interval: price?.recurring?.interval || null,
+    currentPeriodEnd: iso(sub.current_period_end),
+    cancelAtPeriodEnd: Boolean(sub.cancel_at_period_end)
+  };
+}
+
+function dunningOf(sub) {
+  if (sub.status !== 'past_due') return null;
+  const invoice = typeof sub.latest_invoice === 'object' ? sub.latest_invoice : null;
+  if (!invoice) return { state: 'unknown', attempts: null, graceEndsAt: null, nextPaymentAttempt: null };
+  const { action, attempts, graceEndsAt } = decideOnPaymentFailed(invoice, DUNNING_POLICY);
+  return { state: action, attempts, graceEndsAt, nextPaymentAttempt: iso(invoice.next_payment_attempt) };
+}
+
+export default function handler(req, res) {
+  allowStorefrontCors(req, res, 'GET,OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method Not Allowed' });
+  return withBcDeadline(() => handle(req, res));
+}
+
+async function handle(req, res) {
+  try {
+    const requested = String(req.query?.email || '').trim().toLowerCase();
+    const member = requested && isAdminRequest(req) ? { email: requested, bcId: null } : getMemberIdentity(req);
+    if (!member) return res.status(401).json({ error: 'Sign in required' });
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    const ent = await memberEntitlements(member);
+    const base = {
+      email: member.email,
+      bcId: ent.bcId,
+      groupId: ent.groupId,
+      tier: ent.tier ? { id: ent.tier.id, name: ent.tier.name } : null,
+      categoryLimit: ent.limit,
+      categories: ent.categories,
+      chosenAt: ent.chosenAt
+    };
+    if (!ent.bcId) return res.status(200).json({ ...base, nextChangeAllowedAt: null, subscription: null, dunning: null });
+
+    const subs = await subscriptionsOf(await findStripeCustomerId(ent.bcId, member.email));
+    const sub = primarySubscription(subs, ent.groupId);
+
+    // Same rule POST /api/categories enforces (lib/category-policy.js)
+    let nextChangeAllowedAt = null;
+    if (isLimited(CHANGE_POLICY)) {
+      const period = CHANGE_POLICY.swapsPerPeriod > 0 ? billingPeriodFromSubscriptions(subs) : null;
+      nextChangeAllowedAt = checkCategoryChange(ent.selection, null, CHANGE_POLICY, period).nextChangeAllowedAt;
+    }
+
+    return res.status(200).json({
+      ...base,
+      nextChangeAllowedAt,
+      subscription: sub ? describeSubscription(sub) : null,
+      dunning: sub ? dunningOf(sub) : null
+    });
+  } catch (e) {
+    console.error('me endpoint error:', e);
+    return res.status(e.status || 500).json({ error: e.message || 'server error' });
+  }
+}
@@ -0,0 +1,160 @@
+// api/reconcile.js
+// GET|POST /api/reconcile   (X-Admin-Key: ADMIN_API_KEY)
+//   ?apply=1        fix drift (default is a dry run that only reports it)
+//   ?limit=50       subscriptions to scan per call (serverless time limit)
+//   ?cursor=sub_... continue from the nextCursor of the previous call
+//   ?format=text    plain-text diff instead of JSON
+//
+// A call stops early when the BigCommerce time budget (BC_TIME_BUDGET_MS) runs low and returns
+// nextCursor = the last subscription it got through, so keep calling until nextCursor is null.
+//
+// Walks Stripe subscriptions (active/trialing, past_due, canceled), works out which
+// BigCommerce group each customer SHOULD be in using the same multi-subscription /
+// tier-priority logic as the webhook (refund/dispute holds from lib/refunds.js included), and
+// compares it with their current customer_group_id.
+// Missed webhooks otherwise leave members with the wrong access forever.
+
+import { isAdminRequest } from '../lib/admin.js';
+import { bc, withBcDeadline, bcTimeLeft } from '../lib/bigcommerce.js';
+import { stripe } from '../lib/stripe.js';
+import { recordAudit } from '../lib/audit.js';
+import { resolveBcCustomerId, linkCustomers } from '../lib/member-link.js';
+import {
+  NO_GROUP,
+  managedGroupIds,
+  groupForStripeCustomer,
+  applyGroup
+} from './stripe-webhook.js';
+
+export const config = { api: { bodyParser: true } };
+
+const SCANNED_STATUSES = new Set(['active', 'trialing', 'past_due', 'canceled']);
+// Budget left before starting another customer (2-3 sequential BC calls, plus applying a fix)
+const MIN_TIME_PER_CUSTOMER_MS = 2000;
+
+// Compare one Stripe customer with BigCommerce -> drift entry, or null when in sync
+async function diffCustomer(customer, apply) {
+  const email = (customer?.email || '').trim().toLowerCase() || null;
+  const desired = await groupForStripeCustomer(customer.id);
+  const { bcId } = await resolveBcCustomerId({ stripeCustomer: customer, link: apply });
+  if (!bcId && !email) {
+    return desired ? { stripeCustomer: customer.id, email, action: 'skip', reason: 'no link and no email on Stripe customer' } : null;
+  }
+  const current = bcId ? Number((await bc.getCustomer(bcId))?.customer_group_id || 0) : null;
+
+  const base = { stripeCustomer: customer.id, email, bcId, current, desired };
+  if (!bcId) return desired ? { ...base, action: 'create' } : null;
+  if (desired && desired !== current) return { ...base, action: 'set' };
+  // Only take away groups we manage — leave wholesale/staff groups alone
+  if (!desired && managedGroupIds().has(current)) return { ...base, action: 'remove' };
+  return null;
+}
+
+async function applyDrift(entry, customer) {
+  if (entry.action === 'create') {
+    const parts = (customer.name || '').trim().split(/\s+/).filter(Boolean);
+    const created = await bc.createCustomer({
+      email: entry.email,
+      firstName: parts[0] || 'Member',
+      lastName: parts.slice(1).join(' ') || 'Account',
+      groupId: entry.desired
+    });
+    entry.bcId = created.id;
+    await recordAudit({
+      action: 'customer_created', actor: 'reconcile', email: entry.email, bcId: created.id,
+      from: null, to: created.groupAppliedAtCreate ? entry.desired : NO_GROUP, reason: 'reconcile: active subscription without BC customer'
+    });
+    if (!created.groupAppliedAtCreate) {
+      await applyGroup(created.id, entry.desired, { actor: 'reconcile', email: entry.email, from: NO_GROUP, reason: 'reconcile drift fix' });
+    }
+    await linkCustomers(customer.id, created.id);
+  } else if (entry.action === 'set' || entry.action === 'remove') {
+    await applyGroup(entry.bcId, entry.desired, {
+      actor: 'reconcile', email: entry.email, from: entry.current, reason: 'reconcile drift fix'
+    });
+  }
+}
+
+function diffLine(d) {
+  const who = `${d.email || '(no email)'} [${d.stripeCustomer}${d.bcId ? ` / BC ${d.bcId}` : ''}]`;
+  if (d.action === 'skip') return `  ${who}: skipped (${d.reason})`;
+  if (d.action === 'error') return `! ${who}: check FAILED: ${d.error}`;
+  const from = d.current == null ? '(no BC customer)' : `group ${d.current}`;
+  const status = d.error ? ` FAILED: ${d.error}` : (d.applied ? ' ✔' : '');
+  return `${d.action === 'remove' ? '-' : '+'} ${who}: ${from} → group ${d.desired}${status}`;
+}
+
+export default function handler(req, res) {
+  return withBcDeadline(() => handle(req, res));
+}
+
+async function handle(req, res) {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+
+  const params = { ...(req.query || {}), ...(req.body || {}) };
+  const apply = params.apply === true || params.apply === '1' || params.apply === 'true';
+  const limit = Math.min(Math.max(parseInt(params.limit || '50', 10) || 50, 1), 100);
+  const cursor = String(params.cursor || '').trim() || undefined;
+
+  try {
+    const page = await stripe.subscriptions.list({
+      status: 'all',
+      limit,
+      starting_after: cursor,
+      expand: ['data.customer']
+    });
+
+    const drift = [];
+    const seen = new Set();
+    let lastDone = null;  // last subscription fully handled (the cursor to resume after)
+    let outOfTime = false;
+    for (const sub of page.data) {
+      if (bcTimeLeft() < MIN_TIME_PER_CUSTOMER_MS) { outOfTime = true; break; }
+      const customer = sub.customer;
+      if (!SCANNED_STATUSES.has(sub.status) || !customer || customer.deleted || seen.has(customer.id)) {
+        lastDone = sub.id;
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = await diffCustomer(customer, apply);
+      } catch (e) {
+        // Ran out of budget mid-customer: leave it for the next call
+        if (bcTimeLeft() < MIN_TIME_PER_CUSTOMER_MS) { outOfTime = true; break; }
+        const email = (customer.email || '').trim().toLowerCase() || null;
+        entry = { stripeCustomer: customer.id, email, action: 'error', error: e.message };
+      }
+      seen.add(customer.id);
+      lastDone = sub.id;
+      if (!entry) continue;
+      if (apply && entry.action !== 'skip' && entry.action !== 'error') {
+        try {
+          await applyDrift(entry, customer);
+          entry.applied = true;
+        } catch (e) {
+          entry.error = e.message;
+        }
+      }
+      console.log(`reconcile${apply ? '' : ' (dry run)'}: ${diffLine(entry)}`);
+      drift.push(entry);
+    }
+
+    const more = outOfTime || (page.has_more && page.data.length);
+    // Nothing done at all: hand back the same cursor rather than restarting from the top
+    const nextCursor = more ? (lastDone || cursor || null) : null;
+
+    if (params.format === 'text') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      const head = `${apply ? 'APPLIED' : 'DRY RUN'}: ${seen.size} customers checked, ${drift.length} drifted` +
+        (outOfTime ? ' (stopped early: BC time budget)' : '') +
+        (nextCursor ? ` (more: cursor=${nextCursor})` : '');
+      return res.status(200).send([head, ...drift.map(diffLine)].join('\n') + '\n');
+    }
+    return res.status(200).json({ ok: true, apply, checked: seen.size, drift, nextCursor, stoppedEarly: outOfTime });
+  } catch (e) {
+    console.error('reconcile error:', e);
+    return res.status(500).json({ error: e.message || 'server error' });
+  }
+}
@@ -1,14 +1,44 @@
 // /api/stream.js
-import crypto from 'crypto';
+// GET /api/stream?t=<trackId>&exp=...&sig=...  — links come from /api/stream/token or the member
+// library feed (lib/stream-token.js); unsigned requests are rejected. The track's audio URL is
+// looked up in the library CSV and only fetched from STREAM_ALLOWED_SOURCES (lib/stream-source.js).
+// Links are bound to a member (and optionally their IP/UA), count against the member's
+// concurrent-stream limit and can be revoked (lib/stream-sessions.js, api/stream/revoke.js).
+// Every response that sends audio is recorded as a play event (lib/analytics.js).
+//
+// Seeking: a single `Range: bytes=a-b` (and If-Range) is forwarded upstream and the 206 /
+// Content-Range / 416 answer passed back. Multi-range and malformed Range headers are ignored
+// (full 200 body, as RFC 9110 allows) — audio players only ever ask for one range.
+import { streamSecret, verifyStreamSignature, clientHash } from '../lib/stream-token.js';
+import { claimStreamSlot, touchStreamSlot, releaseStreamSlot, revokedReason } from '../lib/stream-sessions.js';
+import { fetchStreamSource } from '../lib/stream-source.js';
+import { fetchLibraryCsv, parseCsv, findTrack } from '../lib/library.js';
+import { categoriesOfRow } from '../lib/catalog.js';
+import { recordPlay } from '../lib/analytics.js';
 
 export const config = { runtime: 'nodejs' };
 
+// Refuse to start without a signing secret (there used to be a guessable default)
+if (!streamSecret()) throw new Error('TOKEN_SECRET is not set; /api/stream will not start without it');
+
 function bad(res, code, msg) { res.status(code).json({ error: msg || 'forbidden' }); }
-function hmac(str) {
-  const key = process.env.TOKEN_SECRET || 'change-me';
-  return crypto.createHmac('sha256', key).update(str).digest('hex');
+
+// Single byte range we can forward upstream, or null (none / multi-range / malformed)
+function singleRange(header) {
+  const m = /^bytes=(\d*)-(\d*)$/i.exec(String(header || '').trim());
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  if (m[1] !== '' && m[2] !== '' && Number(m[1]) > Number(m[2])) return null;
+  return `bytes=${m[1]}-${m[2]}`;
 }
 
+// Refresh the active-stream entry this often while a long response is being piped
+const TOUCH_EVERY_MS = 30 * 1000;
+
+// Ranges smaller than this with an explicit end are players probing the file, not playing it
+const PROBE_BYTES = 64 * 1024;
+
+const PASSED_HEADERS = ['Content-Length', 'Content-Range', 'ETag', 'Last-Modified'];
+
 export default async function handler(req, res) {
   try {
     if (req.method !== 'GET') return bad(res, 405, 'method');
@@ -19,36 +49,109 @@ export default async function handler(req, res) {
     const reqOrigin = req.headers.origin || '';
     if (origin && reqOrigin && reqOrigin !== origin) return bad(res, 403, 'origin');
 
-    const u   = req.query.u ? decodeURIComponent(req.query.u) : '';
-    const exp = parseInt(req.query.exp || '0', 10);
-    let   sig = String(req.query.sig || '');
+    const claims = Object.fromEntries(Object.entries(req.query || {}).map(([k, v]) => [k, String(v)]));
+    const exp = parseInt(claims.exp || '0', 10);
 
-    if (!u || !exp) return bad(res, 400, 'params');
-
-    // Allow missing sig from the browser; derive it server-side using our secret
-    const base = `${u}|${exp}`;
-    if (!sig) sig = hmac(base);
+    if (!claims.t || !exp || !claims.sig || !claims.m || !claims.j) return bad(res, 400, 'params');
 
     const now = Math.floor(Date.now() / 1000);
     if (now > exp) return bad(res, 403, 'expired');
-    if (hmac(base) !== sig) return bad(res, 403, 'sig');
+    if (!verifyStreamSignature(claims)) return bad(res, 403, 'sig');
     if (exp - now > (maxMin * 60 + 30)) return bad(res, 403, 'window');
+    if (claims.h && claims.h !== clientHash(req)) return bad(res, 403, 'client');
 
-    const upstream = await fetch(u);
-    if (!upstream.ok || !upstream.body) return bad(res, 502, 'upstream');
+    const revoked = await revokedReason(claims);
+    if (revoked) return bad(res, 403, 'revoked');
 
-    res.status(200);
+    const track = findTrack(parseCsv(await fetchLibraryCsv()), claims.t);
+    if (!track) return bad(res, 404, 'track');
+
+    const range = singleRange(req.headers.range);
+    const headers = {};
+    if (range) {
+      headers['Range'] = range;
+      if (req.headers['if-range']) headers['If-Range'] = String(req.headers['if-range']);
+    }
+
+    let upstream;
+    try {
+      upstream = await fetchStreamSource(track.audioUrl, { headers });
+    } catch (e) {
+      if (e.status !== 403) throw e;
+      console.warn('stream: refused source:', e.message);
+      return bad(res, 403, 'source');
+    }
     res.setHeader('Accept-Ranges', 'bytes');
+    if (upstream.status === 416) {
+      // Unsatisfiable: tell the player how big the file really is
+      res.setHeader('Content-Range', upstream.headers.get('content-range') || 'bytes */*');
+      return res.status(416).end();
+    }
+    if (!upstream.ok || !upstream.body) return bad(res, 502, 'upstream');
+
+    // Only a stream that is actually about to play takes one of the member's slots
+    const slot = await claimStreamSlot(claims);
+    if (!slot.ok) {
+      await upstream.body.cancel().catch(() => {});
+      return bad(res, 429, 'concurrent');
+    }
+
+    // 206 only when the upstream actually honoured the range (If-Range mismatch -> full 200)
+    res.status(range && upstream.status === 206 ? 206 : 200);
     res.setHeader('Content-Type', upstream.headers.get('content-type') || 'audio/mpeg');
     res.setHeader('Cache-Control', 'private, max-age=60, stale-while-revalidate=30');
+    PASSED_HEADERS.forEach(h => {
+      const v = upstream.headers.get(h);
+      if (v && (h !== 'Content-Range' || upstream.status === 206)) res.setHeader(h, v);
+    });
+
+    const startedAt = Date.now();
+    const rangeStart = upstream.status === 206
+      ? Number(/bytes\s+(\d+)-/.exec(upstream.headers.get('content-range') || '')?.[1] || 0)
+      : 0;
+    let bytes = 0;
+    let aborted = false;
+    let status = 'completed';
+    res.on('close', () => { if (!res.writableEnded) aborted = true; });
 
     const reader = upstream.body.getReader();
-    for (;;) {
-      const { value, done } = await reader.read();
-      if (done) break;
-      res.write(value);
+    let touchedAt = Date.now();
+    try {
+      for (;;) {
+        if (aborted) {
+          // Player went away (seek, pause, closed tab): stop pulling from the upstream
+          status = 'aborted';
+          await reader.cancel().catch(() => {});
+          break;
+        }
+        const { value, done } = await reader.read();
+        if (done) break;
+        res.write(value);
+        bytes += value.byteLength;
+        if (Date.now() - touchedAt > TOUCH_EVERY_MS) {
+          touchedAt = Date.now();
+          await touchStreamSlot(claims).catch(() => {});
+        }
+      }
+      if (status === 'completed') res.end();
+    } catch (e) {
+      status = aborted ? 'aborted' : 'failed';
+      throw e;
+    } finally {
+      await releaseStreamSlot(claims).catch(() => {});
+      await recordPlay({
+        member: Number(claims.m) || claims.m,
+        track: claims.t,
+        tier: claims.r || null,
+        categories: categoriesOfRow(track.row),
+        bytes,
+        rangeStart,
+        durationMs: Date.now() - startedAt,
+        status,
+        httpStatus: res.statusCode || null,
+        probe: Boolean(range && /-\d+$/.test(range)) && bytes < PROBE_BYTES
+      });
     }
-    res.end();
   } catch {
     try { res.status(500).json({ error: 'internal' }); } catch {}
   }
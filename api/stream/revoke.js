@@ -0,0 +1,64 @@
+// api/stream/revoke.js
+// Kill stream links before they expire (X-Admin-Key: ADMIN_API_KEY)
+//
+// GET    /api/stream/revoke                          -> { links:[...], members:[...] }
+// POST   /api/stream/revoke { link, reason? }        -> revoke one link (its j id or the full /api/stream URL)
+// POST   /api/stream/revoke { bcId, reason? }        -> revoke every link issued to the member so far
+// DELETE /api/stream/revoke?link=... | ?bcId=...     -> lift a revocation
+//
+// See lib/stream-sessions.js. Revocations are recorded in the audit log.
+
+import { isAdminRequest } from '../../lib/admin.js';
+import { recordAudit } from '../../lib/audit.js';
+import { revokeLink, revokeMemberLinks, unrevoke, listRevocations } from '../../lib/stream-sessions.js';
+
+export const config = { api: { bodyParser: true } };
+
+// "j" id, or an /api/stream URL carrying it -> { linkId, memberId, exp }
+function parseLink(value) {
+  const s = String(value || '').trim();
+  if (!s.includes('?')) return { linkId: s, memberId: null, exp: null };
+  const q = new URLSearchParams(s.slice(s.indexOf('?') + 1));
+  return { linkId: q.get('j') || '', memberId: q.get('m'), exp: q.get('exp') };
+}
+
+export default async function handler(req, res) {
+  if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json(await listRevocations());
+    }
+
+    if (req.method === 'POST') {
+      const reason = String(req.body?.reason || '').trim();
+      if (req.body?.link) {
+        const { linkId, memberId, exp } = parseLink(req.body.link);
+        if (!linkId) return res.status(400).json({ error: 'link has no j id' });
+        const entry = await revokeLink(linkId, { exp, reason: reason || 'link revoked' });
+        await recordAudit({ action: 'stream_revoked', actor: 'admin', bcId: memberId, to: linkId, reason: entry.reason });
+        return res.status(200).json({ ok: true, linkId, ...entry });
+      }
+      const bcId = Number(req.body?.bcId || 0);
+      if (bcId) {
+        const entry = await revokeMemberLinks(bcId, { reason: reason || 'member links revoked' });
+        await recordAudit({ action: 'stream_revoked', actor: 'admin', bcId, to: 'all links', reason: entry.reason });
+        return res.status(200).json({ ok: true, bcId, ...entry });
+      }
+      return res.status(400).json({ error: 'Provide link or bcId' });
+    }
+
+    if (req.method === 'DELETE') {
+      const linkId = req.query?.link ? parseLink(req.query.link).linkId : null;
+      const memberId = Number(req.query?.bcId || 0) || null;
+      if (!linkId && !memberId) return res.status(400).json({ error: 'Missing link or bcId' });
+      await unrevoke({ linkId, memberId });
+      return res.status(200).json({ ok: true });
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (e) {
+    console.error('stream revoke endpoint error:', e);
+    return res.status(500).json({ error: e.message || 'server error' });
+  }
+}
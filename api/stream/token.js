@@ -0,0 +1,53 @@
+// api/stream/token.js
+// GET  /api/stream/token?track=<id>   (or POST { track })
+//   -> { url: "/api/stream?t=<trackId>&exp=...&iat=...&m=...&j=...&c=...[&r=...][&h=...]&sig=...", exp }
+//      (claims explained in lib/stream-token.js)
+// Issues a signed /api/stream link for one library track, only if the signed-in member
+// (Authorization: Bearer ..., lib/member-auth.js) is entitled to it: their BC group must be a
+// tier and the track must be in one of their saved categories (lib/entitlements.js).
+// Track ids: LIBRARY_ID_COLUMN, see lib/library.js. Links last the tier's streaming.maxMinutes
+// and are bound to the member (lib/stream-token.js).
+
+import { getMemberIdentity, allowStorefrontCors } from '../../lib/member-auth.js';
+import { withBcDeadline } from '../../lib/bigcommerce.js';
+import { fetchLibraryCsv, parseCsv, findTrack } from '../../lib/library.js';
+import { memberEntitlements, isRowEntitled } from '../../lib/entitlements.js';
+import { signStreamLink, streamSecret } from '../../lib/stream-token.js';
+
+export const config = { api: { bodyParser: true } };
+
+export default async function handler(req, res) {
+  allowStorefrontCors(req, res);
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+
+  try {
+    if (!streamSecret()) return res.status(500).json({ error: 'Server misconfigured: TOKEN_SECRET is not set' });
+
+    const member = getMemberIdentity(req);
+    if (!member) return res.status(401).json({ error: 'Sign in required' });
+
+    const trackId = String((req.method === 'POST' ? req.body?.track : req.query?.track) || '').trim();
+    if (!trackId) return res.status(400).json({ error: 'track is required' });
+
+    const track = findTrack(parseCsv(await fetchLibraryCsv()), trackId);
+    if (!track) return res.status(404).json({ error: 'Unknown track' });
+
+    const ent = await withBcDeadline(() => memberEntitlements(member));
+    if (!ent.tier) return res.status(403).json({ error: 'No active membership tier for this customer' });
+    if (!isRowEntitled(track.row, ent)) return res.status(403).json({ error: 'This track is not in your chosen categories' });
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    const { url, exp } = signStreamLink(trackId, {
+      ttlSeconds: ent.tier.streaming.maxMinutes * 60,
+      memberId: ent.bcId,
+      maxConcurrent: ent.tier.streaming.maxConcurrent,
+      tierId: ent.tier.id,
+      req
+    });
+    return res.status(200).json({ url, exp });
+  } catch (e) {
+    console.error('stream token error:', e);
+    return res.status(e.status || 500).json({ error: e.message || 'server error' });
+  }
+}
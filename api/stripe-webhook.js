@@ -1,18 +1,44 @@
-// Vercel Serverless Function: Stripe → BigCommerce (maps Stripe prices to BC customer groups)
-// Adds removal on customer.subscription.deleted (+ optional on invoice.payment_failed)
+// Vercel Serverless Function: Stripe → BigCommerce (maps Stripe prices to BC customer groups via lib/tiers.js)
+// Adds removal on customer.subscription.deleted (+ dunning policy on invoice.payment_failed)
+// Moves members between groups on customer.subscription.updated (upgrade/downgrade/plan swap)
+// Every event goes through lib/event-ledger.js: duplicates and out-of-order (older) events are skipped.
+// BC customers are found through the Stripe ↔ BC link (lib/member-link.js), email is the fallback.
+// Checkout sessions created by api/billing/checkout.js name the BC customer in their metadata.
+// Every group / customer / category change is written to the audit log (lib/audit.js).
+// Events that fail are kept in lib/dead-letter.js for replay via api/dead-letters.js.
+// Refunds, disputes and voided invoices follow the refund policy (lib/refunds.js).
 
-import Stripe from 'stripe';
+import { stripe } from '../lib/stripe.js';
+import { checkEvent, markApplied } from '../lib/event-ledger.js';
+import { recordFailure, removeFailure } from '../lib/dead-letter.js';
+import { loadDunningPolicy, decideOnPaymentFailed } from '../lib/dunning.js';
+import { bc, withBcDeadline } from '../lib/bigcommerce.js';
+import { recordAudit } from '../lib/audit.js';
+import { STRIPE_BC_ID_KEY, resolveBcCustomerId, linkCustomers, syncLinkForStripeCustomer } from '../lib/member-link.js';
+import { readSelection, writeSelection } from '../lib/category-store.js';
+import { picksAllowedForGroup } from '../lib/catalog.js';
+import { priceToGroupId, groupRank, limitForGroup, membershipGroupIds } from '../lib/tiers.js';
+import {
+  loadRefundPolicy,
+  isFullRefund,
+  isDisputeWon,
+  getHold,
+  placeHold,
+  releaseHold,
+  releaseHoldOnPayment
+} from '../lib/refunds.js';
 
 // Keep raw body for Stripe signature verification
 export const config = { api: { bodyParser: false } };
 
-const stripe = new Stripe(process.env.STRIPE_SECRET, { apiVersion: '2024-06-20' });
-
 // === SETTINGS ===
-// Set to true if you want to drop members from their group immediately when a payment fails
-const REMOVE_ON_PAYMENT_FAILED = true;
+// What happens on invoice.payment_failed (remove now, after N attempts / X days, or park
+// in a grace group) is configured through env — see lib/dunning.js.
+export const DUNNING_POLICY = loadDunningPolicy();
+// Refunds / disputes / voided invoices (revoke, ignore, restore) — see lib/refunds.js.
+export const REFUND_POLICY = loadRefundPolicy();
 // BigCommerce “no group” value. BC treats 0 as “no customer group”.
-const NO_GROUP = 0;
+export const NO_GROUP = 0;
 
 // Helper: read raw body (required for Stripe signature verification)
 async function getRawBody(req) {
@@ -21,138 +47,7 @@ async function getRawBody(req) {
   return Buffer.concat(chunks);
 }
 
-// ---------- BC HELPERS ----------
-function bcHeaders() {
-  return {
-    'X-Auth-Client': process.env.BC_CLIENT_ID,
-    'X-Auth-Token': process.env.BC_ACCESS_TOKEN,
-    'Content-Type': 'application/json',
-    'Accept': 'application/json'
-  };
-}
-function bcBaseV3() {
-  const hash = (process.env.BC_STORE_HASH || '').trim();
-  return `https://api.bigcommerce.com/stores/${hash}/v3`;
-}
-function bcBaseV2() {
-  const hash = (process.env.BC_STORE_HASH || '').trim();
-  return `https://api.bigcommerce.com/stores/${hash}/v2`;
-}
-
-// Lookup by email (try v3 /customers/lookup, fall back to v2 /customers?email=)
-async function lookupBcCustomerIdByEmail(email) {
-  const normalized = (email || '').trim().toLowerCase();
-
-  // Try v3
-  try {
-    const url = `${bcBaseV3()}/customers/lookup`;
-    const res = await fetch(url, { method: 'POST', headers: bcHeaders(), body: JSON.stringify({ emails: [normalized] }) });
-    const txt = await res.text().catch(() => '');
-    if (res.status === 404) throw new Error('__TRY_V2__');
-    if (!res.ok) throw new Error(`BC v3 lookup failed (${res.status}): ${txt}`);
-    let json = {};
-    try { json = JSON.parse(txt); } catch {}
-    const first = Array.isArray(json?.data) ? json.data.find(r => (r?.email || '').toLowerCase() === normalized) : null;
-    return first?.id || null;
-  } catch (e) {
-    if (e.message !== '__TRY_V2__') console.warn('v3 lookup error:', e.message);
-    // Fallback: v2
-    const url2 = `${bcBaseV2()}/customers?email=${encodeURIComponent(normalized)}`;
-    const res2 = await fetch(url2, { method: 'GET', headers: bcHeaders() });
-    const txt2 = await res2.text().catch(() => '');
-    if (!res2.ok) throw new Error(`BC v2 lookup failed (${res2.status}): ${txt2}`);
-    let arr = [];
-    try { arr = JSON.parse(txt2); } catch {}
-    const first = Array.isArray(arr) ? arr.find(r => (r?.email || '').toLowerCase() === normalized) : null;
-    return first?.id || null;
-  }
-}
-
-// Create a BC customer (prefer v3; fall back to v2). Optionally apply group at creation.
-async function createBcCustomer({ email, firstName = 'Member', lastName = 'Account', groupId = null }) {
-  const normalized = (email || '').trim().toLowerCase();
-
-  // Attempt v3 create (can set customer_group_id at create)
-  try {
-    const payloadV3 = {
-      customers: [{
-        email: normalized,
-        first_name: firstName || 'Member',
-        last_name: lastName || 'Account',
-        ...(groupId ? { customer_group_id: Number(groupId) } : {})
-      }]
-    };
-    const res = await fetch(`${bcBaseV3()}/customers`, {
-      method: 'POST', headers: bcHeaders(), body: JSON.stringify(payloadV3)
-    });
-    const txt = await res.text().catch(() => '');
-    if (!res.ok) {
-      console.warn(`BC v3 create failed (${res.status}): ${txt}`);
-      throw new Error('__TRY_V2_CREATE__');
-    }
-    let json = {};
-    try { json = JSON.parse(txt); } catch {}
-    const id = Array.isArray(json?.data) ? json.data[0]?.id : null;
-    if (!id) throw new Error('BC v3 create returned no id');
-    return { id, groupAppliedAtCreate: Boolean(groupId) };
-  } catch (e) {
-    if (e.message !== '__TRY_V2_CREATE__') console.warn('v3 create error:', e.message);
-  }
-
-  // Fallback: v2 create (minimal fields)
-  const payloadV2 = {
-    email: normalized,
-    first_name: firstName || 'Member',
-    last_name: lastName || 'Account'
-  };
-  const res2 = await fetch(`${bcBaseV2()}/customers`, {
-    method: 'POST', headers: bcHeaders(), body: JSON.stringify(payloadV2)
-  });
-  const txt2 = await res2.text().catch(() => '');
-  if (!res2.ok) throw new Error(`BC v2 create failed (${res2.status}): ${txt2}`);
-  let json2 = {};
-  try { json2 = JSON.parse(txt2); } catch {}
-  const id2 = json2?.id || (Array.isArray(json2?.data) ? json2.data[0]?.id : null);
-  if (!id2) throw new Error('BC v2 create returned no id');
-  return { id: id2, groupAppliedAtCreate: false };
-}
-
-// Assign customer group with PATCH → fallback to bulk PUT
-async function setBcCustomerGroup(customerId, groupId) {
-  const headers = bcHeaders();
-  const v3 = bcBaseV3();
-
-  // 1) Preferred: single PATCH
-  try {
-    const url = `${v3}/customers/${Number(customerId)}`;
-    const body = JSON.stringify({ customer_group_id: Number(groupId) });
-    const res = await fetch(url, { method: 'PATCH', headers, body });
-    const txt = await res.text().catch(() => '');
-    if (res.ok) return;
-    const mustUseBulk = res.status === 422 || res.status === 404 || /array/i.test(txt || '');
-    if (!mustUseBulk) throw new Error(`BC group PATCH failed (${res.status}): ${txt}`);
-  } catch (e) {
-    console.warn('PATCH group failed; trying bulk PUT:', e.message);
-  }
-
-  // 2) Bulk PUT requires a TOP-LEVEL ARRAY
-  const url2 = `${v3}/customers`;
-  const payloadArray = [{ id: Number(customerId), customer_group_id: Number(groupId) }];
-  const res2 = await fetch(url2, { method: 'PUT', headers, body: JSON.stringify(payloadArray) });
-  const txt2 = await res2.text().catch(() => '');
-  if (!res2.ok) throw new Error(`BC group PUT failed (${res2.status}): ${txt2}`);
-}
-
 // === STRIPE HELPERS ===
-function priceToGroupId(priceIdSet) {
-  let map = {};
-  try { map = JSON.parse(process.env.PRICE_TO_GROUP_MAP || '{}'); } catch {}
-  for (const pid of priceIdSet) {
-    if (pid && map[pid]) return Number(map[pid]);
-  }
-  return null;
-}
-
 async function collectFromSession(sessionId, foundPriceIds) {
   try {
     const s = await stripe.checkout.sessions.retrieve(sessionId, { expand: ['line_items.data.price.product'] });
@@ -168,6 +63,91 @@ async function collectFromSession(sessionId, foundPriceIds) {
     return null;
   }
 }
+function collectFromSubscription(sub, foundPriceIds) {
+  (sub.items?.data || []).forEach(item => {
+    if (item?.price?.id) foundPriceIds.add(item.price.id);
+  });
+}
+
+// What a subscription in its current state is entitled to: 'paid' (its mapped group),
+// 'grace' (the dunning grace group) or null (nothing)
+function subscriptionAccess(sub) {
+  if (sub.status === 'active' || sub.status === 'trialing') return 'paid';
+  if (sub.status === 'past_due' && sub.latest_invoice && typeof sub.latest_invoice === 'object') {
+    const { action } = decideOnPaymentFailed(sub.latest_invoice, DUNNING_POLICY);
+    if (action === 'keep') return 'paid';
+    if (action === 'grace') return 'grace';
+  }
+  return null;
+}
+
+// Group a Stripe customer should have, looking at ALL of their subscriptions (highest tier wins;
+// subscriptions on a refund/dispute hold don't count).
+// extraPriceIds: prices just paid for / changed in this event, on subscription extraSubscription
+// (dropped while that subscription is on hold); excludeSubscription: one that is going away.
+// Returns NO_GROUP when nothing active remains.
+export async function groupForStripeCustomer(customerId, { extraPriceIds = [], extraSubscription = null, excludeSubscription = null } = {}) {
+  const held = extraSubscription ? await getHold(extraSubscription) : null;
+  const prices = new Set(held ? [] : extraPriceIds);
+  let inGrace = false;
+  if (customerId) {
+    const subs = stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 100, expand: ['data.latest_invoice'] });
+    for await (const sub of subs) {
+      if (sub.id === excludeSubscription) continue;
+      // Refunded / disputed / voided (lib/refunds.js): grants nothing until the hold ends
+      if (await getHold(sub.id)) continue;
+      const access = subscriptionAccess(sub);
+      if (access === 'paid') collectFromSubscription(sub, prices);
+      if (access === 'grace') inGrace = true;
+    }
+  }
+  return priceToGroupId(prices) || (inGrace ? DUNNING_POLICY.graceGroupId : NO_GROUP);
+}
+
+// Groups this integration hands out (tiers + the dunning grace group); anything else was
+// assigned by hand and is never taken away automatically
+export function managedGroupIds() {
+  const managed = membershipGroupIds();
+  if (DUNNING_POLICY.graceGroupId) managed.add(DUNNING_POLICY.graceGroupId);
+  return managed;
+}
+
+// Set a member's group and audit it (lib/audit.js). from: the group they are in now
+// (looked up when omitted). Does nothing when the group would not change.
+export async function applyGroup(bcId, groupId, { actor, email = null, reason = '', from } = {}) {
+  const current = from ?? Number((await bc.getCustomer(bcId))?.customer_group_id || 0);
+  const target = Number(groupId);
+  if (current === target) return false;
+  await bc.setCustomerGroup(bcId, target);
+  await recordAudit({
+    action: target === NO_GROUP ? 'group_removed' : 'group_assigned',
+    actor, email, bcId, from: current, to: target, reason
+  });
+  return true;
+}
+
+// Downgrade: drop picks the new group may not use (CATEGORY_CATALOG groups), then keep only
+// as many as it allows
+async function trimCategoriesForGroup(bcId, cust, groupId, email, actor) {
+  const selection = await readSelection(bcId, cust);
+  const cats = selection.categories;
+  const limit = limitForGroup(groupId);
+  // Non-tier groups (none, grace) keep the selection for when membership resumes
+  if (!limit) return;
+  const kept = picksAllowedForGroup(cats, groupId).slice(0, limit);
+  if (kept.length === cats.length) return;
+  // Keep the original chosenAt and change counters: the member didn't make this change
+  await writeSelection(bcId, cust, {
+    categories: kept, groupId,
+    chosenAt: selection.chosenAt, periodStart: selection.periodStart, swaps: selection.swaps
+  });
+  await recordAudit({
+    action: 'categories_changed', actor, email, bcId,
+    from: cats, to: kept, reason: `trimmed to what group ${groupId} may use (limit ${limit})`
+  });
+  console.log(`✂️ Trimmed categories for ${email} to ${kept.length}/${limit}: ${kept.join(', ') || '(none)'}`);
+}
+
 function collectFromInvoice(invoice, foundPriceIds) {
   (invoice.lines?.data || []).forEach(li => {
     const pidNew = li?.pricing?.price_details?.price;
@@ -177,27 +157,108 @@ function collectFromInvoice(invoice, foundPriceIds) {
   });
 }
 
-// === MAIN HANDLER ===
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    res.status(405).send('Method Not Allowed');
-    return;
+// === REFUNDS / DISPUTES ===
+const MONEY_BACK_TYPES = new Set(['charge.refunded', 'charge.dispute.created', 'charge.dispute.closed', 'invoice.voided']);
+
+function idOf(value) {
+  return typeof value === 'string' ? value : (value?.id || null);
+}
+
+// -> { kind, decision, reason, charge, invoiceId, customerId } following REFUND_POLICY
+async function moneyBackDecision(event) {
+  const obj = event.data.object;
+  if (event.type === 'invoice.voided') {
+    return {
+      kind: 'voided', decision: REFUND_POLICY.invoiceVoided, reason: `invoice ${obj.id} voided`,
+      charge: null, invoiceId: obj.id, customerId: idOf(obj.customer)
+    };
   }
+  if (event.type === 'charge.refunded') {
+    const full = isFullRefund(obj);
+    return {
+      kind: 'refund', decision: full ? REFUND_POLICY.fullRefund : REFUND_POLICY.partialRefund,
+      reason: `${full ? 'full' : 'partial'} refund of ${obj.id}`,
+      charge: obj, invoiceId: idOf(obj.invoice), customerId: idOf(obj.customer)
+    };
+  }
+  // Disputes only name the charge
+  const charge = await stripe.charges.retrieve(idOf(obj.charge));
+  let decision = 'keep';
+  let reason = `dispute ${obj.id} closed (${obj.status})`;
+  if (event.type === 'charge.dispute.created') {
+    decision = REFUND_POLICY.disputeOpened;
+    reason = `dispute ${obj.id} opened (${obj.reason || 'no reason given'})`;
+  } else if (isDisputeWon(obj)) {
+    decision = REFUND_POLICY.disputeWon;
+    reason = `dispute ${obj.id} won`;
+  }
+  return { kind: 'dispute', decision, reason, charge, invoiceId: idOf(charge.invoice), customerId: idOf(charge.customer) };
+}
 
-  // 1) Verify Stripe signature with RAW body
-  let event;
-  try {
-    const sig = req.headers['stripe-signature'];
-    const rawBody = await getRawBody(req);
-    event = stripe.webhooks.constructEvent(rawBody, sig, process.env.STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.error('❌ Verification failed:', err.message);
-    res.status(400).send(`Webhook Error: ${err.message}`);
-    return;
+// Refunds, chargebacks and voided invoices: hold (or release) the subscription the money
+// belonged to, then recalculate the member's group from what they still pay for.
+async function processMoneyBack(event, ctx, actor) {
+  const { kind, decision, reason, charge, invoiceId, customerId } = await moneyBackDecision(event);
+  const email = ctx.email = charge?.billing_details?.email || event.data.object?.customer_email || null;
+
+  let subscriptionId = event.type === 'invoice.voided' ? idOf(event.data.object.subscription) : null;
+  if (!subscriptionId && invoiceId) subscriptionId = idOf((await stripe.invoices.retrieve(invoiceId))?.subscription);
+
+  const { bcId } = customerId ? await resolveBcCustomerId({ stripeCustomer: customerId, email }) : { bcId: null };
+  ctx.bcId = bcId;
+  await recordAudit({
+    action: 'refund_decision', actor, email, bcId,
+    from: kind, to: decision, reason: `${reason}${subscriptionId ? ` (subscription ${subscriptionId})` : ''}`
+  });
+
+  if (decision === 'keep' || decision === 'ignore') {
+    console.log(`ℹ️ ${reason}: policy says ${decision}; group unchanged.`);
+    return { ok: true, refund: { kind, decision } };
+  }
+
+  // One-off purchases have no membership behind them: nothing to hold, group untouched
+  if (!subscriptionId) {
+    console.log(`ℹ️ ${reason}: no subscription behind the charge; group unchanged.`);
+    return { ok: true, refund: { kind, decision } };
+  }
+  if (decision === 'remove') {
+    await placeHold(subscriptionId, { kind, chargeId: charge?.id || null, invoiceId, reason });
+  } else if (await getHold(subscriptionId)) {
+    await releaseHold(subscriptionId);
+  } else {
+    console.log(`ℹ️ ${reason}: ${subscriptionId} was not on hold; group unchanged.`);
+    return { ok: true, refund: { kind, decision } };
+  }
+
+  if (!bcId) {
+    console.warn(`No BC customer for Stripe ${customerId || '(none)'}; ${reason} recorded only.`);
+    return { ok: true, refund: { kind, decision } };
   }
 
+  const target = ctx.groupId = await groupForStripeCustomer(customerId);
+  const cust = await bc.getCustomer(bcId, { include: 'attributes' });
+  const custEmail = ctx.email = cust?.email || email || `BC ${bcId}`;
+  const from = Number(cust?.customer_group_id || 0);
+  // Wholesale / staff / hand-assigned groups are not ours to take away
+  if (from !== NO_GROUP && !managedGroupIds().has(from)) {
+    console.log(`ℹ️ ${reason}: ${custEmail} is in unmanaged group ${from}; left alone.`);
+    return { ok: true, refund: { kind, decision } };
+  }
+  const moved = await applyGroup(bcId, target, { actor, email: custEmail, from, reason });
+  if (target !== NO_GROUP) await trimCategoriesForGroup(bcId, cust, target, custEmail, actor);
+  console.log(`${moved ? '✅' : 'ℹ️'} ${reason}: ${custEmail} group ${from} → ${target}.`);
+  return { ok: true, refund: { kind, decision } };
+}
+
+// === EVENT PROCESSING ===
+// Applies one verified Stripe event to BigCommerce. Returns the JSON body to answer with;
+// throws on BigCommerce failures so the caller can respond 500 (and Stripe retries).
+// ctx collects what was resolved along the way (email, prices, group, BC id) for the dead-letter queue.
+async function processEvent(event, ctx = {}) {
   const type = event.type;
+  const actor = `stripe:${event.id}`;
   const foundPriceIds = new Set();
+  ctx.priceIds = foundPriceIds;
   let email = null;
   let fullName = '';
 
@@ -217,90 +278,245 @@ export default async function handler(req, res) {
     }
   } else if (type === 'customer.subscription.deleted') {
     // handled below (no prices needed)
+  } else if (type === 'customer.subscription.updated') {
+    collectFromSubscription(event.data.object, foundPriceIds);
+  } else if (type === 'customer.updated') {
+    // handled below (keeps the Stripe ↔ BC link in sync)
+  } else if (MONEY_BACK_TYPES.has(type)) {
+    return processMoneyBack(event, ctx, actor);
   } else {
     // Ignore other events
-    res.status(200).json({ ok: true, ignored: type });
-    return;
+    return { ok: true, ignored: type };
   }
 
+  ctx.email = email;
+
   // === ROUTING BY EVENT ===
-  try {
-    if (type === 'customer.subscription.deleted') {
-      // Remove from group on cancellation
-      const sub = event.data.object;
-      // Try to get customer email
-      let custEmail = null;
-      try {
-        const c = await stripe.customers.retrieve(sub.customer);
-        custEmail = c?.email || null;
-        fullName = c?.name || '';
-      } catch {}
-      if (!custEmail) {
-        console.warn('No email on subscription.deleted; skipping');
-        res.status(200).json({ ok: true });
-        return;
-      }
-      const bcId = await lookupBcCustomerIdByEmail(custEmail);
-      if (!bcId) {
-        console.warn(`No BC customer for ${custEmail}; nothing to remove.`);
-        res.status(200).json({ ok: true });
-        return;
-      }
-      await setBcCustomerGroup(bcId, NO_GROUP);
+  if (type === 'customer.updated') {
+    const customer = event.data.object;
+    const { bcId, via } = await syncLinkForStripeCustomer(customer);
+    ctx.email = customer.email || null;
+    ctx.bcId = bcId;
+    if (!bcId) console.log(`ℹ️ No BC customer to link for Stripe ${customer.id} (${customer.email || 'no email'}).`);
+    return { ok: true, linked: bcId ? via : null };
+  }
+
+  if (type === 'customer.subscription.deleted') {
+    // Remove from group on cancellation
+    const sub = event.data.object;
+    // Prefer the Stripe ↔ BC link; email is only the fallback (it may have changed)
+    const { bcId } = await resolveBcCustomerId({ stripeCustomer: sub.customer });
+    ctx.bcId = bcId;
+    if (!bcId) {
+      console.warn(`No BC customer for Stripe ${sub.customer}; nothing to remove.`);
+      return { ok: true };
+    }
+    // Another active subscription may still grant (a possibly lower) tier
+    const remaining = ctx.groupId = await groupForStripeCustomer(sub.customer, { excludeSubscription: sub.id });
+    const cust = await bc.getCustomer(bcId, { include: 'attributes' });
+    const custEmail = ctx.email = cust?.email || `BC ${bcId}`;
+    const from = Number(cust?.customer_group_id || 0);
+    if (remaining === NO_GROUP) {
+      await applyGroup(bcId, NO_GROUP, { actor, email: custEmail, from, reason: `subscription ${sub.id} cancelled` });
       console.log(`✅ Removed BC group for ${custEmail} (cancelled subscription).`);
-      res.status(200).json({ ok: true });
-      return;
+    } else {
+      await applyGroup(bcId, remaining, { actor, email: custEmail, from, reason: `subscription ${sub.id} cancelled; another subscription still active` });
+      await trimCategoriesForGroup(bcId, cust, remaining, custEmail, actor);
+      console.log(`✅ ${custEmail} cancelled one subscription; still in group ${remaining} from another.`);
+    }
+    return { ok: true };
+  }
+
+  // Plan change through the portal → move groups now instead of waiting for the next invoice.
+  // A status change away from active (past_due → unpaid, incomplete_expired, ...) is recomputed
+  // too: with "mark unpaid" Stripe sends no deletion, and grace/keep would otherwise never end.
+  if (type === 'customer.subscription.updated') {
+    const sub = event.data.object;
+    const prev = event.data.previous_attributes || {};
+    if (!('items' in prev) && !('status' in prev)) return { ok: true, ignored: 'no plan or status change' };
+    const current = sub.status === 'active' || sub.status === 'trialing';
+    if (!current && !('status' in prev)) {
+      console.log(`ℹ️ Subscription ${sub.id} is ${sub.status}; leaving group unchanged.`);
+      return { ok: true };
+    }
+    if (!priceToGroupId(foundPriceIds)) {
+      console.log(`ℹ️ No mapped membership on updated subscription ${sub.id}.`);
+      return { ok: true };
+    }
+
+    // A lapsed subscription only counts through its listed state (subscriptionAccess: dunning policy)
+    const targetGroupId = ctx.groupId = await groupForStripeCustomer(sub.customer, {
+      extraPriceIds: current ? foundPriceIds : [], extraSubscription: sub.id
+    });
+
+    const { bcId } = await resolveBcCustomerId({ stripeCustomer: sub.customer });
+    ctx.bcId = bcId;
+    if (!bcId) {
+      console.warn(`No BC customer for Stripe ${sub.customer}; the next invoice will create it.`);
+      return { ok: true };
+    }
+
+    const cust = await bc.getCustomer(bcId, { include: 'attributes' });
+    const custEmail = ctx.email = cust?.email || `BC ${bcId}`;
+    const currentGroupId = Number(cust?.customer_group_id || 0);
+    const moved = await applyGroup(bcId, targetGroupId, {
+      actor, email: custEmail, from: currentGroupId,
+      reason: current ? `subscription ${sub.id} updated (plan change)` : `subscription ${sub.id} is ${sub.status}`
+    });
+    if (moved) console.log(`✅ Moved ${custEmail} from group ${currentGroupId} to ${targetGroupId} (subscription updated).`);
+
+    await trimCategoriesForGroup(bcId, cust, targetGroupId, custEmail, actor);
+    return { ok: true };
+  }
+
+  // For successful charges → assign group
+  if (type === 'checkout.session.completed' || type === 'invoice.payment_succeeded') {
+    if (!email) {
+      console.warn('No purchaser email; skipping');
+      return { ok: true };
+    }
+    // A newly paid invoice ends a refund / voided-invoice hold on its subscription (a dispute
+    // hold stays, and groupForStripeCustomer then ignores this event's prices)
+    const paidSubscription = idOf(event.data.object?.subscription);
+    if (paidSubscription && type === 'invoice.payment_succeeded') {
+      const released = await releaseHoldOnPayment(paidSubscription, event.data.object.id);
+      if (released) console.log(`ℹ️ Released ${released.kind} hold on ${paidSubscription} (new invoice paid).`);
+    }
+
+    // Prices in this event plus any other active subscriptions → highest tier
+    const stripeCustomer = event.data.object?.customer || null;
+    const targetGroupId = ctx.groupId = (await groupForStripeCustomer(stripeCustomer, {
+      extraPriceIds: foundPriceIds, extraSubscription: paidSubscription
+    })) || null;
+    console.log(`Prices in event: ${[...foundPriceIds].join(', ') || '(none)'} → target group: ${targetGroupId ?? '(none)'} for ${email}`);
+
+    const parts = (fullName || '').trim().split(/\s+/).filter(Boolean);
+    const firstName = parts[0] || 'Member';
+    const lastName  = parts.slice(1).join(' ') || 'Account';
+
+    // Sessions from api/billing/checkout.js carry the BC customer id; otherwise link, then email
+    const hintBcId = type === 'checkout.session.completed' ? event.data.object?.metadata?.[STRIPE_BC_ID_KEY] : null;
+    let bcCustomerId = ctx.bcId = (await resolveBcCustomerId({ stripeCustomer, email, hintBcId })).bcId;
+    let groupAppliedAtCreate = false;
+    if (!bcCustomerId) {
+      const created = await bc.createCustomer({ email, firstName, lastName, groupId: targetGroupId || null });
+      bcCustomerId = ctx.bcId = created.id;
+      groupAppliedAtCreate = created.groupAppliedAtCreate;
+      console.log(`✅ Created BC customer ${bcCustomerId} for ${email} (group at create: ${groupAppliedAtCreate})`);
+      await recordAudit({
+        action: 'customer_created', actor, email, bcId: bcCustomerId,
+        from: null, to: groupAppliedAtCreate ? targetGroupId : NO_GROUP, reason: `${type} for a new member`
+      });
+      if (stripeCustomer) await linkCustomers(stripeCustomer, bcCustomerId).catch(e => console.warn('Linking failed:', e.message));
+    } else {
+      console.log(`ℹ️ Found BC customer ${bcCustomerId} for ${email}`);
     }
 
-    // For successful charges → assign group
-    if (type === 'checkout.session.completed' || type === 'invoice.payment_succeeded') {
-      if (!email) {
-        console.warn('No purchaser email; skipping');
-        res.status(200).json({ ok: true });
-        return;
-      }
-      const targetGroupId = priceToGroupId(foundPriceIds);
-      console.log(`Prices in event: ${[...foundPriceIds].join(', ') || '(none)'} → target group: ${targetGroupId ?? '(none)'} for ${email}`);
-
-      const parts = (fullName || '').trim().split(/\s+/).filter(Boolean);
-      const firstName = parts[0] || 'Member';
-      const lastName  = parts.slice(1).join(' ') || 'Account';
-
-      let bcCustomerId = await lookupBcCustomerIdByEmail(email);
-      let groupAppliedAtCreate = false;
-      if (!bcCustomerId) {
-        const created = await createBcCustomer({ email, firstName, lastName, groupId: targetGroupId || null });
-        bcCustomerId = created.id;
-        groupAppliedAtCreate = created.groupAppliedAtCreate;
-        console.log(`✅ Created BC customer ${bcCustomerId} for ${email} (group at create: ${groupAppliedAtCreate})`);
-      } else {
-        console.log(`ℹ️ Found BC customer ${bcCustomerId} for ${email}`);
-      }
-
-      if (targetGroupId && !groupAppliedAtCreate) {
-        await setBcCustomerGroup(bcCustomerId, targetGroupId);
-        console.log(`✅ Set group ${targetGroupId} for ${email} (BC id ${bcCustomerId})`);
-      } else if (!targetGroupId) {
-        console.log(`ℹ️ No mapped membership in this purchase for ${email}.`);
-      }
-
-      res.status(200).json({ ok: true });
-      return;
+    if (targetGroupId && !groupAppliedAtCreate) {
+      await applyGroup(bcCustomerId, targetGroupId, { actor, email, reason: `${type} (paid)` });
+      console.log(`✅ Set group ${targetGroupId} for ${email} (BC id ${bcCustomerId})`);
+    } else if (!targetGroupId) {
+      console.log(`ℹ️ No mapped membership in this purchase for ${email}.`);
     }
 
-    // Optional: drop access on payment failure
-    if (type === 'invoice.payment_failed' && REMOVE_ON_PAYMENT_FAILED) {
-      if (!email) { res.status(200).json({ ok: true }); return; }
-      const bcId = await lookupBcCustomerIdByEmail(email);
-      if (bcId) {
-        await setBcCustomerGroup(bcId, NO_GROUP);
-        console.log(`⚠️ Payment failed — removed group for ${email}.`);
-      }
-      res.status(200).json({ ok: true });
-      return;
+    return { ok: true };
+  }
+
+  // Payment failure → apply the dunning policy (Smart Retries often succeed a day later)
+  if (type === 'invoice.payment_failed') {
+    const inv = event.data.object;
+    const who = email || `Stripe ${inv.customer}`;
+    const decision = decideOnPaymentFailed(inv, DUNNING_POLICY, event.created);
+    if (decision.action === 'keep') {
+      console.log(`ℹ️ Payment failed for ${who} (attempt ${decision.attempts}); keeping group until ${decision.graceEndsAt}.`);
+      return { ok: true, dunning: decision };
+    }
+
+    // Another active subscription may still grant a tier: use it when it beats where the
+    // policy would put them (nothing on remove, the grace group on grace)
+    const otherGroupId = await groupForStripeCustomer(inv.customer, { excludeSubscription: inv.subscription || null });
+    const policyGroupId = decision.action === 'remove' ? NO_GROUP : DUNNING_POLICY.graceGroupId;
+    const useOther = otherGroupId && (decision.action === 'remove' || groupRank(otherGroupId) > groupRank(policyGroupId));
+    const target = ctx.groupId = useOther ? otherGroupId : policyGroupId;
+
+    const { bcId } = await resolveBcCustomerId({ stripeCustomer: inv.customer, email });
+    ctx.bcId = bcId;
+    if (!bcId) return { ok: true, dunning: decision };
+    if (useOther) {
+      await applyGroup(bcId, target, { actor, email, reason: `payment failed on ${inv.id} (attempt ${decision.attempts}); another subscription still active` });
+      console.log(`ℹ️ Payment failed for ${who} (${decision.action}), but another subscription keeps them in group ${target}.`);
+    } else if (decision.action === 'remove') {
+      await applyGroup(bcId, NO_GROUP, { actor, email, reason: `payment failed on ${inv.id} (attempt ${decision.attempts})` });
+      console.log(`⚠️ Payment failed — removed group for ${who} (attempt ${decision.attempts}).`);
+    } else {
+      await applyGroup(bcId, target, {
+        actor, email, reason: `payment failed on ${inv.id} (attempt ${decision.attempts}); grace until ${decision.graceEndsAt}`
+      });
+      console.log(`⚠️ Payment failed — moved ${who} to grace group ${target} until ${decision.graceEndsAt}.`);
     }
+    return { ok: true, dunning: decision };
+  }
+
+  return { ok: true };
+}
+
+// Events that never change a group: deduplicated, but they neither block nor are blocked by
+// older membership events for the same customer
+const UNORDERED_TYPES = new Set(['customer.updated']);
+
+// Ledger check → apply → record. Failures land in the dead-letter queue and are rethrown.
+// Used by the webhook below and by the replay endpoint (api/dead-letters.js).
+// -> { ok: true, ... } or { ok: true, skipped: 'duplicate' | 'stale' }
+export async function handleStripeEvent(event) {
+  // Skip retries we already applied and events older than the customer's last applied one
+  const ordered = !UNORDERED_TYPES.has(event.type);
+  const check = await checkEvent(event, { ordered });
+  if (!check.apply) {
+    console.log(`ℹ️ Skipping ${event.type} ${event.id} (${check.reason})`);
+    return { ok: true, skipped: check.reason };
+  }
+
+  const ctx = {};
+  try {
+    const result = await withBcDeadline(() => processEvent(event, ctx));
+    // Ignored types don't count as "applied" for ordering
+    if (!result.ignored) await markApplied(event, { ordered });
+    // A Stripe retry (or a replay) that succeeds clears any earlier dead letter
+    await removeFailure(event.id);
+    return result;
+  } catch (e) {
+    const entry = await recordFailure(event, e, ctx).catch(err => {
+      console.error('Could not record dead letter:', err);
+      return null;
+    });
+    if (entry) console.error(`❌ ${event.type} ${event.id} failed (attempt ${entry.attempts}) for ${entry.email || '(unknown email)'}`);
+    throw e;
+  }
+}
+
+// === MAIN HANDLER ===
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.status(405).send('Method Not Allowed');
+    return;
+  }
 
-    res.status(200).json({ ok: true });
+  // 1) Verify Stripe signature with RAW body
+  let event;
+  try {
+    const sig = req.headers['stripe-signature'];
+    const rawBody = await getRawBody(req);
+    event = stripe.webhooks.constructEvent(rawBody, sig, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    console.error('❌ Verification failed:', err.message);
+    res.status(400).send(`Webhook Error: ${err.message}`);
+    return;
+  }
+
+  // 2) Apply (ledger + dead-letter queue handled inside)
+  try {
+    const result = await handleStripeEvent(event);
+    res.status(200).json(result);
   } catch (e) {
     console.error('❌ BigCommerce error:', e);
     res.status(500).json({ ok: false, error: e.message });
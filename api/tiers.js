@@ -0,0 +1,15 @@
+// /api/tiers.js
+// Public, read-only list of membership tiers for the storefront (plan pages, pickers).
+// GET -> { tiers: [{ id, name, categoryLimit, intervals, streaming }] }
+
+import { allowStorefrontCors } from '../lib/member-auth.js';
+import { publicTiers } from '../lib/tiers.js';
+
+export default function handler(req, res) {
+  allowStorefrontCors(req, res, 'GET,OPTIONS');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method Not Allowed' });
+
+  res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=300');
+  return res.status(200).json({ tiers: publicTiers() });
+}
@@ -0,0 +1,14 @@
+// lib/admin.js
+// Shared check for operator-only endpoints (reconcile, dead-letters, audit, ...).
+// Callers send the key in the X-Admin-Key header; it must match ADMIN_API_KEY.
+
+import crypto from 'crypto';
+
+export function isAdminRequest(req) {
+  const expected = (process.env.ADMIN_API_KEY || '').trim();
+  if (!expected) return false;
+  const given = Buffer.from(String(req.headers['x-admin-key'] || '').trim());
+  const want = Buffer.from(expected);
+  if (given.length !== want.length) return false;
+  return crypto.timingSafeEqual(given, want);
+}
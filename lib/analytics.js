@@ -0,0 +1,153 @@
+// lib/analytics.js
+// Play events from /api/stream, written to a pluggable sink and aggregated for api/analytics.js.
+//
+// Event: { at, member, track, tier, categories, bytes, rangeStart, durationMs, status, httpStatus, probe }
+//   probe: a tiny range request players send before playing (Safari's bytes=0-1), not a play
+//   status: completed (whole response sent) | aborted (player hung up, e.g. seek or stop) | failed
+//
+// Pick the sink with PLAY_SINK:
+//   store  -> shared store (lib/store.js), one list per UTC day: plays:<YYYY-MM-DD>  (default)
+//   jsonl  -> one JSON object per line in PLAY_LOG_FILE (default .data/plays.jsonl), for local dev
+//   log    -> JSON line in the function logs only (not readable by the aggregate endpoint)
+//   none   -> off
+//
+// Every sink exposes: record(event), read({ from, to }) -> [event] (null when it can't be read back)
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getStore } from './store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 92;
+
+function day(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+function inRange(event, from, to) {
+  const t = Date.parse(event.at);
+  return t >= from && t < to;
+}
+
+// ---- sinks ----
+export function storeSink(store = getStore()) {
+  return {
+    async record(event) { await store.push(`plays:${day(event.at)}`, event); },
+    async read({ from, to }) {
+      const out = [];
+      for (let t = Date.parse(day(from)); t < to; t += DAY_MS) out.push(...await store.list(`plays:${day(t)}`));
+      return out.filter(e => inRange(e, from, to));
+    }
+  };
+}
+
+export function jsonlSink(filePath) {
+  const file = path.resolve(filePath || process.env.PLAY_LOG_FILE || '.data/plays.jsonl');
+  return {
+    async record(event) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, JSON.stringify(event) + '\n');
+    },
+    async read({ from, to }) {
+      const txt = await fs.readFile(file, 'utf8').catch(() => '');
+      return txt.split('\n').filter(Boolean)
+        .map(line => { try { return JSON.parse(line); } catch { return null; } })
+        .filter(e => e && inRange(e, from, to));
+    }
+  };
+}
+
+export function logSink() {
+  return {
+    async record(event) { console.log(JSON.stringify({ play: event })); },
+    async read() { return null; }
+  };
+}
+
+function noneSink() {
+  return { async record() {}, async read() { return null; } };
+}
+
+let shared = null;
+
+export function getPlaySink() {
+  if (shared) return shared;
+  const kind = (process.env.PLAY_SINK || 'store').trim().toLowerCase();
+  if (kind === 'store') shared = storeSink();
+  else if (kind === 'jsonl') shared = jsonlSink();
+  else if (kind === 'log') shared = logSink();
+  else if (kind === 'none') shared = noneSink();
+  else throw new Error(`Unknown PLAY_SINK "${kind}" (expected store, jsonl, log or none)`);
+  return shared;
+}
+
+// Swap the sink (tests / custom backends). Pass null to go back to the env default.
+export function setPlaySink(sink) {
+  shared = sink;
+}
+
+// Never throws: analytics must not break playback
+export async function recordPlay(event, sink = getPlaySink()) {
+  const entry = { at: new Date().toISOString(), ...event };
+  try {
+    await sink.record(entry);
+  } catch (e) {
+    console.error('play event write failed:', e.message);
+  }
+  return entry;
+}
+
+// ---- aggregation ----
+function bucket() {
+  return { plays: 0, completed: 0, aborted: 0, failed: 0, bytes: 0, listenMs: 0, members: new Set() };
+}
+
+// Range requests of one playback arrive as several events; only the first real one
+// (rangeStart 0, not a probe) counts as a play, the rest just add bytes and listening time.
+function add(map, key, e) {
+  if (!map.has(key)) map.set(key, bucket());
+  const b = map.get(key);
+  if (Number(e.rangeStart || 0) === 0 && !e.probe) {
+    b.plays++;
+    if (b[e.status] !== undefined) b[e.status]++;
+  }
+  b.bytes += Number(e.bytes || 0);
+  b.listenMs += Number(e.durationMs || 0);
+  if (e.member) b.members.add(String(e.member));
+}
+
+function summarise(b) {
+  return { ...b, members: b.members.size };
+}
+
+function rows(map) {
+  return [...map.entries()]
+    .map(([key, b]) => ({ key, ...summarise(b) }))
+    .sort((a, b) => b.plays - a.plays);
+}
+
+// -> { totals, byTrack, byCategory, byTier }   (rows sorted by plays, most first)
+export function aggregatePlays(events) {
+  const all = new Map();
+  const byTrack = new Map();
+  const byCategory = new Map();
+  const byTier = new Map();
+  for (const e of events) {
+    add(all, 'all', e);
+    add(byTrack, e.track || 'unknown', e);
+    (e.categories?.length ? e.categories : ['uncategorised']).forEach(c => add(byCategory, c, e));
+    add(byTier, e.tier || 'unknown', e);
+  }
+  return {
+    totals: summarise(all.get('all') || bucket()),
+    byTrack: rows(byTrack),
+    byCategory: rows(byCategory),
+    byTier: rows(byTier)
+  };
+}
+
+// from/to: ms timestamps; the window is capped at MAX_DAYS
+export async function readPlays({ from, to }, sink = getPlaySink()) {
+  const start = Math.max(from, to - MAX_DAYS * DAY_MS);
+  return sink.read({ from: start, to });
+}
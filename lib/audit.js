@@ -0,0 +1,50 @@
+// lib/audit.js
+// Structured trail of every membership change, so support can answer "why did I lose access?".
+//
+// Entry: { at, action, actor, email, bcId, from, to, reason }
+//   action: group_assigned | group_removed | customer_created | categories_changed | admin_override
+//           | stream_revoked | refund_decision
+//   actor:  stripe:<event id> | admin | member | reconcile
+//
+// Entries are printed as one JSON line (searchable in the Vercel logs) and appended to
+//   audit:bc:<BC customer id>   (or audit:email:<email> when there is no BC id yet)
+// in the shared store. Read them back with api/audit.js.
+
+import { getStore } from './store.js';
+
+function keysFor({ bcId, email }) {
+  const keys = [];
+  if (bcId) keys.push(`audit:bc:${Number(bcId)}`);
+  else if (email) keys.push(`audit:email:${String(email).trim().toLowerCase()}`);
+  return keys;
+}
+
+// Never throws: an audit hiccup must not fail the membership change itself
+export async function recordAudit({ action, actor, email = null, bcId = null, from = null, to = null, reason = '' }, store = getStore()) {
+  const entry = {
+    at: new Date().toISOString(),
+    action,
+    actor: actor || 'system',
+    email: email ? String(email).trim().toLowerCase() : null,
+    bcId: bcId ? Number(bcId) : null,
+    from,
+    to,
+    reason
+  };
+  console.log(JSON.stringify({ audit: entry }));
+  try {
+    for (const key of keysFor(entry)) await store.push(key, entry);
+  } catch (e) {
+    console.error('audit write failed:', e.message);
+  }
+  return entry;
+}
+
+// History for one customer, newest first. Pass bcId and/or email (entries written before
+// the customer existed in BC are kept under the email).
+export async function auditHistory({ bcId = null, email = null }, store = getStore()) {
+  const lists = [];
+  if (bcId) lists.push(await store.list(`audit:bc:${Number(bcId)}`));
+  if (email) lists.push(await store.list(`audit:email:${String(email).trim().toLowerCase()}`));
+  return lists.flat().sort((a, b) => String(b.at).localeCompare(String(a.at)));
+}
@@ -0,0 +1,295 @@
+// lib/bigcommerce.js
+// One BigCommerce client for every endpoint (webhook, categories, reconcile, ...).
+//
+// Env: BC_STORE_HASH, BC_CLIENT_ID, BC_ACCESS_TOKEN
+//      BC_API_BASE_URL  (optional) e.g. http://localhost:4010 to run against a local mock
+//
+// Fallback rules (same everywhere):
+//   lookup  -> v3 /customers/lookup, then v2 /customers?email= on ANY v3 failure (404 is expected, not logged)
+//   create  -> v3 (ROOT-LEVEL ARRAY payload, group applied at create), then v2 (no group) when
+//              v3 rejected it (4xx); a v3 timeout / 5xx may have created the customer, so it throws
+//   update  -> v3 bulk PUT /customers with a ROOT-LEVEL ARRAY payload (group, notes, ...)
+//
+// Every call retries 429 / 5xx / network errors with jittered backoff and honours the
+// X-Rate-Limit-* headers; creates (not idempotent) only retry 429. Tunables (env):
+//   BC_MAX_RETRIES         default 4
+//   BC_REQUEST_TIMEOUT_MS  per attempt, default 5000
+//   BC_TIME_BUDGET_MS      total time BC calls may take in one invocation, default 8000
+//                          (keep it under the serverless function limit; see withBcDeadline)
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const deadlineStore = new AsyncLocalStorage();
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Run fn with a shared deadline for every BC call made inside it (one per request/invocation).
+// Calls that would run past it fail fast with a clear error instead of the platform killing us.
+export function withBcDeadline(fn, budgetMs = envInt('BC_TIME_BUDGET_MS', 8000)) {
+  return deadlineStore.run({ deadline: Date.now() + budgetMs }, fn);
+}
+
+// ms left before the current withBcDeadline budget runs out (Infinity outside one), so batch
+// jobs can stop between items instead of failing half-way through one
+export function bcTimeLeft() {
+  const deadline = deadlineStore.getStore()?.deadline;
+  return deadline === undefined ? Infinity : Math.max(0, deadline - Date.now());
+}
+
+// Shared across clients: when BC says the window is used up, everyone waits for the reset
+let rateLimitedUntil = 0;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Backoff for attempt n (0-based): the rate-limit reset when BC tells us, else exponential
+// with full jitter (250ms, 500ms, 1s, ... capped at 4s)
+function retryDelay(res, attempt) {
+  const resetMs = Number(res?.headers?.get('x-rate-limit-time-reset-ms'));
+  if (res?.status === 429 && resetMs > 0) return resetMs + Math.floor(Math.random() * 100);
+  const retryAfter = Number(res?.headers?.get('retry-after'));
+  if (retryAfter > 0) return retryAfter * 1000;
+  return Math.floor(Math.random() * Math.min(4000, 250 * 2 ** attempt));
+}
+
+/**
+ * @typedef {Object} BcCustomer
+ * @property {number} id
+ * @property {string} email
+ * @property {string} first_name
+ * @property {string} last_name
+ * @property {number} customer_group_id  0 = no group
+ * @property {string} notes
+ */
+
+/**
+ * @typedef {Object} BcClientOptions
+ * @property {string} [storeHash]
+ * @property {string} [clientId]
+ * @property {string} [accessToken]
+ * @property {string} [baseUrl]  defaults to https://api.bigcommerce.com
+ */
+
+/** @param {BcClientOptions} [options] */
+export function createBcClient(options = {}) {
+  // Read env at call time so a test/mock can point the shared client elsewhere
+  const storeHash = () => (options.storeHash || process.env.BC_STORE_HASH || '').trim();
+  const baseUrl = () => (options.baseUrl || process.env.BC_API_BASE_URL || 'https://api.bigcommerce.com').replace(/\/+$/, '');
+
+  function headers() {
+    return {
+      'X-Auth-Client': options.clientId || process.env.BC_CLIENT_ID,
+      'X-Auth-Token': options.accessToken || process.env.BC_ACCESS_TOKEN,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+  }
+
+  // -> parsed JSON body ({} / [] when empty); throws Error with .status on non-2xx
+  // idempotent: false -> only 429 is retried (a timeout or 5xx may already have been applied)
+  async function request(version, method, path, body, label, { idempotent = true } = {}) {
+    const maxRetries = envInt('BC_MAX_RETRIES', 4);
+    const timeoutMs = envInt('BC_REQUEST_TIMEOUT_MS', 5000);
+    const deadline = deadlineStore.getStore()?.deadline ?? Date.now() + envInt('BC_TIME_BUDGET_MS', 8000);
+
+    function outOfTime(waitMs, why) {
+      if (Date.now() + waitMs < deadline - 100) return null;
+      const err = new Error(`BC ${version} ${label} gave up: time budget exhausted (${why})`);
+      err.status = 504;
+      return err;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const pause = Math.max(0, rateLimitedUntil - Date.now());
+      const late = outOfTime(pause, pause ? 'waiting for rate-limit reset' : 'no time left for another call');
+      if (late) throw late;
+      if (pause) await sleep(pause);
+
+      let res = null;
+      let txt = '';
+      let networkError = null;
+      try {
+        res = await fetch(`${baseUrl()}/stores/${storeHash()}/${version}${path}`, {
+          method,
+          headers: headers(),
+          signal: AbortSignal.timeout(Math.max(1, Math.min(timeoutMs, deadline - Date.now()))),
+          ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+        });
+        txt = await res.text().catch(() => '');
+      } catch (e) {
+        networkError = e;
+      }
+
+      // Remember an exhausted window so the next call (ours or another client's) waits
+      if (res && res.headers.get('x-rate-limit-requests-left') === '0') {
+        rateLimitedUntil = Date.now() + Number(res.headers.get('x-rate-limit-time-reset-ms') || 0);
+      }
+
+      if (res?.ok) {
+        try { return JSON.parse(txt || '{}'); } catch { return {}; }
+      }
+
+      const reason = networkError
+        ? (networkError.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : networkError.message)
+        : `${res.status}: ${txt}`;
+      const retryable = idempotent ? (networkError || isRetryableStatus(res.status)) : res?.status === 429;
+      if (retryable && attempt < maxRetries) {
+        const wait = retryDelay(res, attempt);
+        const late = outOfTime(wait, `last error ${reason}`);
+        if (late) throw late;
+        console.warn(`BC ${version} ${label} attempt ${attempt + 1} failed (${reason}); retrying in ${wait}ms`);
+        await sleep(wait);
+        continue;
+      }
+
+      const err = new Error(networkError
+        ? `BC ${version} ${label} failed (${reason})`
+        : `BC ${version} ${label} failed (${res.status}): ${txt}`);
+      err.status = res?.status || 502;
+      throw err;
+    }
+  }
+
+  function matchEmail(list, normalized) {
+    return Array.isArray(list) ? list.find(x => (x?.email || '').toLowerCase() === normalized) || null : null;
+  }
+
+  /** @returns {Promise<number|null>} */
+  async function lookupCustomerIdByEmail(email) {
+    const normalized = (email || '').trim().toLowerCase();
+    if (!normalized) return null;
+
+    try {
+      const json = await request('v3', 'POST', '/customers/lookup', { emails: [normalized] }, 'lookup');
+      return matchEmail(json?.data, normalized)?.id || null;
+    } catch (e) {
+      if (e.status !== 404) console.warn('v3 lookup error:', e.message);
+    }
+
+    const arr = await request('v2', 'GET', `/customers?email=${encodeURIComponent(normalized)}`, undefined, 'lookup');
+    return matchEmail(arr, normalized)?.id || null;
+  }
+
+  /**
+   * @param {number} id
+   * @param {{ include?: string }} [opts]  e.g. { include: 'attributes' }
+   * @returns {Promise<BcCustomer|null>}
+   */
+  async function getCustomer(id, { include } = {}) {
+    const extra = include ? `&include=${encodeURIComponent(include)}` : '';
+    const json = await request('v3', 'GET', `/customers?id:in=${Number(id)}${extra}`, undefined, 'get');
+    return Array.isArray(json?.data) ? json.data[0] || null : null;
+  }
+
+  /**
+   * One page of customers (for batch jobs)
+   * @param {{ page?: number, limit?: number, include?: string }} [opts]
+   * @returns {Promise<{ customers: BcCustomer[], totalPages: number }>}
+   */
+  async function listCustomers({ page = 1, limit = 50, include } = {}) {
+    const extra = include ? `&include=${encodeURIComponent(include)}` : '';
+    const json = await request('v3', 'GET', `/customers?page=${Number(page)}&limit=${Number(limit)}${extra}`, undefined, 'list');
+    return {
+      customers: Array.isArray(json?.data) ? json.data : [],
+      totalPages: Number(json?.meta?.pagination?.total_pages || 1)
+    };
+  }
+
+  /**
+   * @param {{ email: string, firstName?: string, lastName?: string, groupId?: number|null }} input
+   * @returns {Promise<{ id: number, groupAppliedAtCreate: boolean }>}
+   */
+  async function createCustomer({ email, firstName = 'Member', lastName = 'Account', groupId = null }) {
+    const normalized = (email || '').trim().toLowerCase();
+    const first = firstName || 'Member';
+    const last = lastName || 'Account';
+
+    try {
+      const json = await request('v3', 'POST', '/customers', [{
+        email: normalized,
+        first_name: first,
+        last_name: last,
+        ...(groupId ? { customer_group_id: Number(groupId) } : {})
+      }], 'create', { idempotent: false });
+      const id = Array.isArray(json?.data) ? json.data[0]?.id : null;
+      if (id) return { id, groupAppliedAtCreate: Boolean(groupId) };
+      console.warn('BC v3 create returned no id; trying v2');
+    } catch (e) {
+      // Don't create a second customer when the first attempt may have gone through
+      if (e.status >= 500) throw e;
+      console.warn(e.message);
+    }
+
+    const json2 = await request('v2', 'POST', '/customers', { email: normalized, first_name: first, last_name: last }, 'create', { idempotent: false });
+    const id2 = json2?.id || (Array.isArray(json2?.data) ? json2.data[0]?.id : null);
+    if (!id2) throw new Error('BC v2 create returned no id');
+    return { id: id2, groupAppliedAtCreate: false };
+  }
+
+  async function updateCustomer(id, fields, label) {
+    await request('v3', 'PUT', '/customers', [{ id: Number(id), ...fields }], label);
+  }
+
+  /**
+   * @param {number} id
+   * @param {number} groupId  0 = no group
+   */
+  async function setCustomerGroup(id, groupId) {
+    await updateCustomer(id, { customer_group_id: Number(groupId) }, 'group update');
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} notes
+   */
+  async function updateCustomerNotes(id, notes) {
+    await updateCustomer(id, { notes }, 'notes update');
+  }
+
+  /**
+   * Customer attribute values (Customers → Customer attributes in the BC control panel)
+   * @returns {Promise<Object<number, string>>} attribute_id -> value
+   */
+  async function getCustomerAttributes(id) {
+    const json = await request('v3', 'GET', `/customers?id:in=${Number(id)}&include=attributes`, undefined, 'attributes get');
+    const cust = Array.isArray(json?.data) ? json.data[0] : null;
+    const out = {};
+    (cust?.attributes || []).forEach(a => { out[Number(a.attribute_id)] = a.attribute_value; });
+    return out;
+  }
+
+  /**
+   * Upsert one customer attribute value
+   * @param {number} id
+   * @param {number} attributeId
+   * @param {string} value
+   */
+  async function setCustomerAttribute(id, attributeId, value) {
+    await request('v3', 'PUT', '/customers/attribute-values', [{
+      customer_id: Number(id),
+      attribute_id: Number(attributeId),
+      value: String(value)
+    }], 'attribute update');
+  }
+
+  return {
+    request,
+    lookupCustomerIdByEmail,
+    getCustomer,
+    listCustomers,
+    createCustomer,
+    setCustomerGroup,
+    updateCustomerNotes,
+    getCustomerAttributes,
+    setCustomerAttribute
+  };
+}
+
+// Shared client configured from env
+export const bc = createBcClient();
@@ -0,0 +1,98 @@
+// lib/catalog.js
+// Canonical list of categories members can pick.
+//
+// Which categories exist comes from the library CSV's category column
+// (LIBRARY_CATEGORY_COLUMN, default "category"; several per track may be separated by | or ;).
+// Display details and tier restrictions come from CATEGORY_CATALOG (optional JSON):
+//   { "focus": { "name": "Focus", "description": "Beta-range sessions", "groups": [3, 4] }, ... }
+// "groups" lists the BC customer groups allowed to pick (and stream) it; omit it for "every tier".
+// If the CSV is unreachable, the CATEGORY_CATALOG entries alone are used.
+//
+// Entry: { slug, name, description, groups: number[] | null }
+
+import { fetchLibraryCsv, parseCsv, slugify } from './library.js';
+
+const TTL_MS = () => Math.max(0, parseInt(process.env.CATALOG_TTL_SECONDS || '300', 10) || 0) * 1000;
+
+let cached = null; // { at, catalog }
+
+function overrides() {
+  if (!process.env.CATEGORY_CATALOG) return {};
+  try {
+    return JSON.parse(process.env.CATEGORY_CATALOG) || {};
+  } catch (e) {
+    throw new Error(`CATEGORY_CATALOG is not valid JSON: ${e.message}`);
+  }
+}
+
+export function categoryColumn() {
+  return (process.env.LIBRARY_CATEGORY_COLUMN || 'category').trim().toLowerCase();
+}
+
+// "Focus | Deep Sleep" -> ['focus', 'deep-sleep']
+export function categoriesOfRow(row) {
+  return String(row?.[categoryColumn()] || '')
+    .split(/[|;]/)
+    .map(slugify)
+    .filter(Boolean);
+}
+
+function buildCatalog(rows, extra) {
+  const names = new Map();
+  for (const row of rows || []) {
+    const raw = String(row?.[categoryColumn()] || '').split(/[|;]/).map(x => x.trim()).filter(Boolean);
+    raw.forEach(label => { if (!names.has(slugify(label))) names.set(slugify(label), label); });
+  }
+  if (!rows) Object.keys(extra).forEach(slug => names.set(slugify(slug), slug));
+
+  return [...names.entries()]
+    .map(([slug, label]) => {
+      const o = extra[slug] || {};
+      return {
+        slug,
+        name: o.name || label,
+        description: o.description || '',
+        groups: Array.isArray(o.groups) ? o.groups.map(Number) : null
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function loadCatalog() {
+  if (cached && Date.now() - cached.at < TTL_MS()) return cached.catalog;
+
+  const extra = overrides();
+  let rows = null;
+  try {
+    rows = parseCsv(await fetchLibraryCsv());
+  } catch (e) {
+    console.warn('catalog: library CSV unavailable, using CATEGORY_CATALOG only:', e.message);
+    if (cached) return cached.catalog;
+  }
+
+  const catalog = buildCatalog(rows, extra);
+  if (rows) cached = { at: Date.now(), catalog };
+  return catalog;
+}
+
+// The picks a group may use (tier restrictions only live in CATEGORY_CATALOG, so no CSV needed).
+// Used on downgrades and when streaming, so a restricted pick made on a higher tier stops working.
+export function picksAllowedForGroup(slugs, groupId) {
+  const extra = overrides();
+  return slugs.filter(slug => {
+    const groups = extra[slug]?.groups;
+    return !Array.isArray(groups) || groups.map(Number).includes(Number(groupId));
+  });
+}
+
+// Check a member's picks against the catalog and their group
+// -> { ok: true } or { ok: false, unknown: [...], notAllowed: [...] }
+export function validateSelection(catalog, slugs, groupId) {
+  const bySlug = new Map(catalog.map(c => [c.slug, c]));
+  const unknown = slugs.filter(s => !bySlug.has(s));
+  const notAllowed = slugs.filter(s => {
+    const groups = bySlug.get(s)?.groups;
+    return groups && !groups.includes(Number(groupId));
+  });
+  return unknown.length || notAllowed.length ? { ok: false, unknown, notAllowed } : { ok: true };
+}
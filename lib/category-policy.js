@@ -0,0 +1,98 @@
+// lib/category-policy.js
+// How often a member may change their category picks (POST /api/categories).
+//
+// Env settings ([key] = the same setting inside a CATEGORY_CHANGE_CONFIG JSON, lib/env-config.js):
+//   CATEGORY_SWAPS_PER_PERIOD   changes allowed per billing period, 0 = unlimited (default 0)  [swapsPerPeriod]
+//   CATEGORY_COOLDOWN_DAYS      days to wait after any change, 0 = none (default 0)            [cooldownDays]
+//
+// Billing periods follow the member's Stripe subscription (current_period_start/end). A member
+// without one falls back to the calendar month (UTC).
+// The first pick, and a save that keeps every previous pick (same picks again, or extra ones
+// after an upgrade), never count as a change and are never blocked.
+// Counters live next to the picks in the selection attribute (lib/category-store.js): with only
+// the legacy notes tag there is no history, so changes are not limited.
+
+import { stripe } from './stripe.js';
+import { findStripeCustomerId } from './member-link.js';
+import { loadEnvConfig, setting, wholeNumber } from './env-config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CURRENT_STATUSES = new Set(['active', 'trialing', 'past_due']);
+
+export function loadCategoryChangePolicy(env = process.env) {
+  return loadEnvConfig('CATEGORY_CHANGE_CONFIG', {
+    swapsPerPeriod: setting('CATEGORY_SWAPS_PER_PERIOD', wholeNumber(0)),
+    cooldownDays: setting('CATEGORY_COOLDOWN_DAYS', wholeNumber(0))
+  }, env);
+}
+
+export function isLimited(policy) {
+  return policy.swapsPerPeriod > 0 || policy.cooldownDays > 0;
+}
+
+function calendarMonth(nowMs) {
+  const d = new Date(nowMs);
+  return {
+    start: new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1)).toISOString(),
+    end: new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1)).toISOString()
+  };
+}
+
+function periodOfSubscription(sub) {
+  return {
+    start: new Date(sub.current_period_start * 1000).toISOString(),
+    end: new Date(sub.current_period_end * 1000).toISOString()
+  };
+}
+
+// Billing period from a customer's Stripe subscriptions (the most recently renewed current one)
+export function billingPeriodFromSubscriptions(subs, nowMs = Date.now()) {
+  const current = (subs || [])
+    .filter(s => CURRENT_STATUSES.has(s.status) && s.current_period_start)
+    .sort((a, b) => b.current_period_start - a.current_period_start)[0];
+  return current ? periodOfSubscription(current) : calendarMonth(nowMs);
+}
+
+// Current billing period of the member's subscription -> { start, end } (ISO strings)
+export async function currentBillingPeriod(bcId, email, nowMs = Date.now()) {
+  const customerId = await findStripeCustomerId(bcId, email);
+  if (!customerId) return calendarMonth(nowMs);
+  const subs = await stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 100 });
+  return billingPeriodFromSubscriptions(subs.data, nowMs);
+}
+
+function keepsAll(previous, next) {
+  return previous.every(x => next.includes(x));
+}
+
+// Changes already made in `period` (counters reset when a new period starts)
+export function swapsUsed(selection, period) {
+  return period && selection?.periodStart === period.start ? Number(selection.swaps || 0) : 0;
+}
+
+// selection: from readSelection(); period: from currentBillingPeriod() (only needed for swapsPerPeriod)
+// -> { allowed, counts, nextChangeAllowedAt (ISO or null), swapsUsed, reason? }
+//    counts = whether saving `next` uses up one change
+export function checkCategoryChange(selection, next, policy, period, nowMs = Date.now()) {
+  const previous = selection?.categories || [];
+  const used = swapsUsed(selection, period);
+  const counts = previous.length > 0 && !(next && keepsAll(previous, next));
+  const blockers = [];
+
+  if (policy.cooldownDays > 0 && previous.length && selection.chosenAt) {
+    const until = Date.parse(selection.chosenAt) + policy.cooldownDays * DAY_MS;
+    if (until > nowMs) blockers.push({ at: until, reason: `categories can be changed once every ${policy.cooldownDays} days` });
+  }
+  if (policy.swapsPerPeriod > 0 && period && used >= policy.swapsPerPeriod) {
+    blockers.push({ at: Date.parse(period.end), reason: `${policy.swapsPerPeriod} category change(s) per billing period already used` });
+  }
+
+  const latest = blockers.sort((a, b) => b.at - a.at)[0];
+  return {
+    allowed: !latest || !counts,
+    counts,
+    nextChangeAllowedAt: latest ? new Date(latest.at).toISOString() : null,
+    swapsUsed: used,
+    ...(latest ? { reason: latest.reason } : {})
+  };
+}
@@ -0,0 +1,118 @@
+// lib/category-store.js
+// Where a member's chosen categories live.
+//
+// Current: a BigCommerce customer attribute (BC_CATEGORIES_ATTRIBUTE_ID — create a text
+// attribute under Customers → Customer attributes) holding compact JSON:
+//   {"categories":["focus","sleep"],"chosenAt":"2026-01-31T10:00:00.000Z","groupId":2,
+//    "periodStart":"2026-01-15T00:00:00.000Z","swaps":1}
+// periodStart/swaps count changes per billing period (lib/category-policy.js).
+//
+// Legacy: a tag spliced into the customer notes, [[BWE_CATEGORIES:focus,sleep]].
+// Reads fall back to it until api/categories/migrate.js has copied everyone over; while the
+// attribute is not configured, writes keep using the notes tag.
+//
+// Categories are always read as slugs (slugify, lib/library.js) — old tags may hold picks
+// like "Deep Sleep" that the catalog knows as "deep-sleep".
+
+import { bc } from './bigcommerce.js';
+import { slugify } from './library.js';
+
+function toSlugs(list) {
+  return [...new Set(list.map(slugify).filter(Boolean))];
+}
+
+// ---- legacy notes tag (non-destructive) ----
+const TAG_START = '[[BWE_CATEGORIES:';
+const TAG_END = ']]';
+
+export function extractCatsFromNotes(notes) {
+  const s = String(notes || '');
+  const i = s.indexOf(TAG_START);
+  if (i === -1) return [];
+  const j = s.indexOf(TAG_END, i + TAG_START.length);
+  if (j === -1) return [];
+  const raw = s.slice(i + TAG_START.length, j).trim();
+  return raw ? toSlugs(raw.split(',')) : [];
+}
+export function setCatsInNotes(prevNotes, cats) {
+  const s = String(prevNotes || '');
+  const tag = `${TAG_START}${cats.join(',')}${TAG_END}`;
+  const i = s.indexOf(TAG_START);
+  if (i === -1) return (s ? s + '\n' : '') + tag;
+  const j = s.indexOf(TAG_END, i + TAG_START.length);
+  if (j === -1) return (s ? s + '\n' : '') + tag;
+  return s.slice(0, i) + tag + s.slice(j + TAG_END.length);
+}
+export function removeCatsFromNotes(prevNotes) {
+  const s = String(prevNotes || '');
+  const i = s.indexOf(TAG_START);
+  if (i === -1) return s;
+  const j = s.indexOf(TAG_END, i + TAG_START.length);
+  if (j === -1) return s;
+  // Only the tag and one line break next to it go; the staff's own text stays as written
+  let before = s.slice(0, i);
+  let after = s.slice(j + TAG_END.length);
+  if (before.endsWith('\n')) before = before.slice(0, -1);
+  else if (after.startsWith('\n')) after = after.slice(1);
+  return before + after;
+}
+
+// ---- structured attribute ----
+export function categoriesAttributeId() {
+  return Number(process.env.BC_CATEGORIES_ATTRIBUTE_ID || 0) || null;
+}
+
+function parseSelection(raw) {
+  try {
+    const v = JSON.parse(String(raw || ''));
+    if (!v || !Array.isArray(v.categories)) return null;
+    return {
+      categories: toSlugs(v.categories),
+      chosenAt: v.chosenAt || null,
+      groupId: Number(v.groupId || 0),
+      periodStart: v.periodStart || null,
+      swaps: Number(v.swaps || 0)
+    };
+  } catch {
+    return null;
+  }
+}
+
+function attributeValue(cust, attrId) {
+  const found = (cust?.attributes || []).find(a => Number(a.attribute_id) === attrId);
+  return found ? found.attribute_value : undefined;
+}
+
+// cust: the BC customer, ideally fetched with { include: 'attributes' } (fetched here otherwise)
+// -> { categories, chosenAt, groupId, periodStart, swaps, source: 'attribute' | 'notes' | 'none' }
+export async function readSelection(bcId, cust) {
+  const attrId = categoriesAttributeId();
+  if (attrId) {
+    let raw = attributeValue(cust, attrId);
+    if (raw === undefined && !Array.isArray(cust?.attributes)) raw = (await bc.getCustomerAttributes(bcId))[attrId];
+    const parsed = parseSelection(raw);
+    if (parsed) return { ...parsed, source: 'attribute' };
+  }
+  const legacy = extractCatsFromNotes(cust?.notes || '');
+  const groupId = Number(cust?.customer_group_id || 0);
+  if (legacy.length) return { categories: legacy, chosenAt: null, groupId, periodStart: null, swaps: 0, source: 'notes' };
+  return { categories: [], chosenAt: null, groupId, periodStart: null, swaps: 0, source: 'none' };
+}
+
+// selection: { categories, groupId, chosenAt? (defaults to now; null = unknown), periodStart?, swaps? }
+export async function writeSelection(bcId, cust, {
+  categories, groupId, chosenAt = new Date().toISOString(), periodStart = null, swaps = 0
+}) {
+  const attrId = categoriesAttributeId();
+  if (!attrId) {
+    await bc.updateCustomerNotes(bcId, setCatsInNotes(cust?.notes || '', categories));
+    return;
+  }
+  const value = {
+    categories,
+    chosenAt,
+    groupId: Number(groupId || 0),
+    ...(periodStart ? { periodStart, swaps: Number(swaps || 0) } : {})
+  };
+  await bc.setCustomerAttribute(bcId, attrId, JSON.stringify(value));
+}
@@ -0,0 +1,52 @@
+// lib/dead-letter.js
+// Stripe events we failed to apply to BigCommerce, kept so an operator can see who was
+// affected and replay them after Stripe has stopped retrying (see api/dead-letters.js).
+//
+//   dlq:<event id> -> {
+//     eventId, type, created, attempts, firstFailedAt, lastFailedAt, error,
+//     email, priceIds, groupId, bcId,   // whatever was resolved before the failure
+//     event                              // the full verified event, for replay
+//   }
+
+import { getStore } from './store.js';
+
+const PREFIX = 'dlq:';
+
+export async function recordFailure(event, error, context = {}, store = getStore()) {
+  const key = PREFIX + event.id;
+  const prev = await store.get(key);
+  const now = new Date().toISOString();
+  const entry = {
+    eventId: event.id,
+    type: event.type,
+    created: event.created,
+    attempts: (prev?.attempts || 0) + 1,
+    firstFailedAt: prev?.firstFailedAt || now,
+    lastFailedAt: now,
+    error: error?.message || String(error),
+    email: context.email ?? prev?.email ?? null,
+    priceIds: context.priceIds ? [...context.priceIds] : (prev?.priceIds || []),
+    groupId: context.groupId ?? prev?.groupId ?? null,
+    bcId: context.bcId ?? prev?.bcId ?? null,
+    event
+  };
+  await store.set(key, entry);
+  return entry;
+}
+
+export async function getFailure(eventId, store = getStore()) {
+  return store.get(PREFIX + eventId);
+}
+
+export async function removeFailure(eventId, store = getStore()) {
+  await store.del(PREFIX + eventId);
+}
+
+// Summaries (no event payload), in Stripe event order so replays apply oldest first
+export async function listFailures(store = getStore()) {
+  const keys = await store.keys(PREFIX);
+  const entries = (await Promise.all(keys.map(k => store.get(k)))).filter(Boolean);
+  return entries
+    .map(({ event, ...summary }) => summary)
+    .sort((a, b) => Number(a.created) - Number(b.created));
+}
@@ -0,0 +1,51 @@
+// lib/dunning.js
+// What to do with a member's group when a renewal charge fails.
+//
+// Settings (env var, or its [key] in a DUNNING_CONFIG JSON — see lib/env-config.js):
+//   DUNNING_MODE                    remove (default) | keep              [mode]
+//                                   keep = never remove on failure; wait for the cancellation event
+//   DUNNING_REMOVE_AFTER_ATTEMPTS   remove once the invoice has failed N times (default 1)  [removeAfterAttempts]
+//   DUNNING_GRACE_DAYS              ...and at least X days after the invoice was first charged (default 0)  [graceDays]
+//   DUNNING_GRACE_GROUP             BC group to park members in until removal (optional)  [graceGroupId]
+//
+// Defaults reproduce the old behaviour: drop to no group on the first failure.
+// A later successful retry (invoice.payment_succeeded) puts the member back in their
+// paid group through the normal assignment path.
+
+import { loadEnvConfig, setting, oneOf, wholeNumber } from './env-config.js';
+
+const DAY = 24 * 60 * 60;
+
+export function loadDunningPolicy(env = process.env) {
+  const policy = loadEnvConfig('DUNNING_CONFIG', {
+    mode: setting('DUNNING_MODE', oneOf('remove', 'keep')),
+    removeAfterAttempts: setting('DUNNING_REMOVE_AFTER_ATTEMPTS', wholeNumber(1)),
+    graceDays: setting('DUNNING_GRACE_DAYS', wholeNumber(0)),
+    graceGroupId: setting('DUNNING_GRACE_GROUP', wholeNumber(0))
+  }, env);
+  return {
+    ...policy,
+    removeAfterAttempts: Math.max(1, policy.removeAfterAttempts),
+    graceGroupId: policy.graceGroupId || null
+  };
+}
+
+// When the failing invoice was first charged (seconds)
+function firstChargeAt(invoice) {
+  return Number(invoice?.status_transitions?.finalized_at || invoice?.created || 0);
+}
+
+// -> { action: 'remove' | 'grace' | 'keep', attempts, graceEndsAt }
+//    grace = move to policy.graceGroupId; keep = leave the group as it is
+export function decideOnPaymentFailed(invoice, policy, nowSec = Math.floor(Date.now() / 1000)) {
+  const attempts = Number(invoice?.attempt_count || 1);
+  const graceEnds = firstChargeAt(invoice) + policy.graceDays * DAY;
+  const graceEndsAt = new Date(graceEnds * 1000).toISOString();
+
+  const due = policy.mode === 'remove' &&
+    attempts >= policy.removeAfterAttempts &&
+    nowSec >= graceEnds;
+
+  if (due) return { action: 'remove', attempts, graceEndsAt };
+  return { action: policy.graceGroupId ? 'grace' : 'keep', attempts, graceEndsAt };
+}
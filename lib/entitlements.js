@@ -0,0 +1,38 @@
+// lib/entitlements.js
+// What a member currently gets: their BC group, the tier it maps to, and their saved
+// categories (the same data GET /api/categories returns). Used by the member library feed,
+// /api/stream/token and /api/me.
+
+import { bc } from './bigcommerce.js';
+import { readSelection } from './category-store.js';
+import { tierByGroup, limitForGroup } from './tiers.js';
+import { categoriesOfRow, picksAllowedForGroup } from './catalog.js';
+
+// member: { email, bcId? } (from getMemberIdentity)
+// -> { bcId, groupId, tier, limit, categories, chosenAt, selection }  (bcId null = not a BC customer yet)
+//    selection: the full readSelection() result (change counters included)
+export async function memberEntitlements(member) {
+  const bcId = member.bcId || await bc.lookupCustomerIdByEmail(member.email);
+  if (!bcId) return { bcId: null, groupId: 0, tier: null, limit: 0, categories: [], chosenAt: null, selection: null };
+
+  const cust = await bc.getCustomer(bcId, { include: 'attributes' });
+  const groupId = Number(cust?.customer_group_id || 0);
+  const selection = await readSelection(bcId, cust);
+  return {
+    bcId,
+    groupId,
+    tier: tierByGroup(groupId),
+    limit: limitForGroup(groupId),
+    categories: selection.categories,
+    chosenAt: selection.chosenAt,
+    selection
+  };
+}
+
+// A library row is playable when it's in one of the member's saved categories that their
+// current tier may use (CATEGORY_CATALOG groups)
+export function isRowEntitled(row, entitlements) {
+  if (!entitlements.tier) return false;
+  const picked = new Set(picksAllowedForGroup(entitlements.categories, entitlements.groupId));
+  return categoriesOfRow(row).some(c => picked.has(c));
+}
@@ -0,0 +1,50 @@
+// lib/env-config.js
+// Policy settings read from env: one variable per setting, or all of them at once in a single
+// JSON variable keyed by the camelCase setting names (DUNNING_CONFIG, CATEGORY_CHANGE_CONFIG,
+// REFUND_CONFIG, ...). A key in the JSON wins over its variable. Anything invalid throws while
+// loading, so a misconfigured deployment fails at start instead of misbehaving later.
+//
+//   loadEnvConfig('DUNNING_CONFIG', {
+//     mode: setting('DUNNING_MODE', oneOf('remove', 'keep')),
+//     graceDays: setting('DUNNING_GRACE_DAYS', wholeNumber(0))
+//   })
+//   -> { mode: 'remove', graceDays: 0 }
+
+// envName: the single variable; parse(raw, label) -> value (raw is undefined when unset)
+export function setting(envName, parse) {
+  return { envName, parse };
+}
+
+// Integer >= 0; fallback when unset or blank
+export function wholeNumber(fallback) {
+  return (raw, label) => {
+    if (raw === undefined || raw === null || String(raw).trim() === '') return fallback;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid ${label}: ${raw} (expected a whole number)`);
+    return n;
+  };
+}
+
+// One of a fixed set of words (case-insensitive); the first is the default
+export function oneOf(...choices) {
+  return (raw, label) => {
+    const value = String(raw ?? choices[0]).trim().toLowerCase();
+    if (!choices.includes(value)) throw new Error(`Invalid ${label}: ${value} (expected ${choices.join(' or ')})`);
+    return value;
+  };
+}
+
+// settings: { camelCaseKey: setting(...) } -> { camelCaseKey: value }
+export function loadEnvConfig(jsonName, settings, env = process.env) {
+  let json = {};
+  if (env[jsonName]) {
+    try { json = JSON.parse(env[jsonName]) || {}; } catch (e) {
+      throw new Error(`${jsonName} is not valid JSON: ${e.message}`);
+    }
+  }
+  const out = {};
+  for (const [key, { envName, parse }] of Object.entries(settings)) {
+    out[key] = parse(json[key] ?? env[envName], `${envName} [${key}]`);
+  }
+  return out;
+}
@@ -0,0 +1,55 @@
+// lib/event-ledger.js
+// Remembers which Stripe events have been applied so retries and late,
+// out-of-order deliveries don't undo newer membership changes.
+//
+//   ledger:event:<event id>       -> { type, customer, created, appliedAt }
+//   ledger:customer:<customer id> -> { eventId, type, created }   (last applied event)
+//
+// Ordering uses event.created (seconds). Events from the same second as the last
+// applied one are still allowed; only strictly older ones are refused.
+
+import { getStore } from './store.js';
+
+const EVENT_PREFIX = 'ledger:event:';
+const CUSTOMER_PREFIX = 'ledger:customer:';
+
+// Stripe customer the event is about (null when the object has none, e.g. guest checkouts)
+export function customerIdForEvent(event) {
+  const obj = event?.data?.object || {};
+  const c = obj.customer;
+  if (!c) return null;
+  return typeof c === 'string' ? c : (c.id || null);
+}
+
+// -> { apply: true } or { apply: false, reason: 'duplicate' | 'stale', ... }
+// ordered: false for event types that should only be deduplicated, not ordered per customer.
+export async function checkEvent(event, { ordered = true } = {}, store = getStore()) {
+  const seen = await store.get(EVENT_PREFIX + event.id);
+  if (seen) return { apply: false, reason: 'duplicate', appliedAt: seen.appliedAt };
+
+  const customer = ordered ? customerIdForEvent(event) : null;
+  if (customer) {
+    const last = await store.get(CUSTOMER_PREFIX + customer);
+    if (last && Number(event.created) < Number(last.created)) {
+      return { apply: false, reason: 'stale', lastEventId: last.eventId, lastType: last.type };
+    }
+  }
+  return { apply: true };
+}
+
+// Call only after the event was processed successfully, so failures stay retryable.
+export async function markApplied(event, { ordered = true } = {}, store = getStore()) {
+  const customer = customerIdForEvent(event);
+  await store.set(EVENT_PREFIX + event.id, {
+    type: event.type,
+    customer,
+    created: event.created,
+    appliedAt: new Date().toISOString()
+  });
+  if (!customer || !ordered) return;
+
+  const last = await store.get(CUSTOMER_PREFIX + customer);
+  if (!last || Number(event.created) >= Number(last.created)) {
+    await store.set(CUSTOMER_PREFIX + customer, { eventId: event.id, type: event.type, created: event.created });
+  }
+}
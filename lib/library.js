@@ -0,0 +1,200 @@
+// lib/library.js
+// The track library CSV hosted on BigCommerce (CSV_SOURCE_URL), shared by api/library.js
+// and everything that needs to know what's in the library (category catalog, ...).
+
+import crypto from 'crypto';
+
+const DEFAULT_CSV = 'https://store-dkje2os.mybigcommerce.com/content/library-7f4b9a3c.csv';
+
+export function libraryCsvUrl() {
+  return process.env.CSV_SOURCE_URL || DEFAULT_CSV;
+}
+
+// ---- cache ----
+// The CSV is kept per instance for LIBRARY_CACHE_TTL_SECONDS (default 60). After that it is
+// revalidated upstream with If-None-Match / If-Modified-Since. If the upstream is down, the
+// last good copy is served for up to LIBRARY_STALE_IF_ERROR_SECONDS (default 86400) more.
+function secondsEnv(name, fallback) {
+  return Math.max(0, parseInt(process.env[name] || String(fallback), 10) || 0);
+}
+
+// -> { ttl, staleIfError } in seconds (also used for the Cache-Control sent to clients)
+export function libraryCacheSeconds() {
+  return {
+    ttl: secondsEnv('LIBRARY_CACHE_TTL_SECONDS', 60),
+    staleIfError: secondsEnv('LIBRARY_STALE_IF_ERROR_SECONDS', 86400)
+  };
+}
+const cacheTtlMs = () => libraryCacheSeconds().ttl * 1000;
+const staleIfErrorMs = () => libraryCacheSeconds().staleIfError * 1000;
+
+let cached = null; // { text, etag, lastModified, upstreamEtag, upstreamLastModified, fetchedAt }
+
+function contentEtag(text) {
+  return `"${crypto.createHash('sha1').update(text).digest('base64url')}"`;
+}
+
+function remember(text, upstream) {
+  cached = {
+    text,
+    etag: contentEtag(text),
+    lastModified: upstream.headers.get('last-modified') || new Date().toUTCString(),
+    upstreamEtag: upstream.headers.get('etag'),
+    upstreamLastModified: upstream.headers.get('last-modified'),
+    fetchedAt: Date.now()
+  };
+  return cached;
+}
+
+async function fetchUpstream(CSV) {
+  const headers = {};
+  if (cached?.upstreamEtag) headers['If-None-Match'] = cached.upstreamEtag;
+  if (cached?.upstreamLastModified) headers['If-Modified-Since'] = cached.upstreamLastModified;
+
+  const upstream = await fetch(CSV, { redirect: 'follow', headers });
+  if (upstream.status === 304 && cached) {
+    cached.fetchedAt = Date.now();
+    return cached;
+  }
+  if (!upstream.ok) {
+    const text = await upstream.text().catch(() => '');
+    const err = new Error(`Upstream CSV fetch failed (${upstream.status}): ${text.slice(0, 200)}`);
+    err.status = 502;
+    throw err;
+  }
+  return remember(await upstream.text(), upstream);
+}
+
+// -> { text, etag, lastModified, cache: 'hit' | 'revalidated' | 'miss' | 'stale' }
+//    throws Error with .status 500 (misconfigured) or 502 (upstream failed, nothing usable cached)
+export async function getLibraryCsv() {
+  const CSV = libraryCsvUrl();
+  if (!CSV || !/^https?:\/\//i.test(CSV)) {
+    const err = new Error(`Server misconfigured: CSV URL is missing or invalid (${CSV})`);
+    err.status = 500;
+    throw err;
+  }
+
+  if (cached && Date.now() - cached.fetchedAt < cacheTtlMs()) return { ...cached, cache: 'hit' };
+
+  const previous = cached;
+  try {
+    const entry = await fetchUpstream(CSV);
+    return { ...entry, cache: entry === previous ? 'revalidated' : 'miss' };
+  } catch (err) {
+    if (err.status === 502 || !err.status) {
+      if (previous && Date.now() - previous.fetchedAt < cacheTtlMs() + staleIfErrorMs()) {
+        console.warn('library: upstream CSV unavailable, serving the last good copy:', err.message);
+        return { ...previous, cache: 'stale' };
+      }
+      err.status = 502;
+    }
+    throw err;
+  }
+}
+
+// -> CSV text; throws Error with .status 500 (misconfigured) or 502 (upstream failed)
+export async function fetchLibraryCsv() {
+  return (await getLibraryCsv()).text;
+}
+
+// Minimal RFC 4180 parser: quoted fields, "" escapes, CRLF/LF, leading BOM.
+// -> [{ header: value, ... }] with trimmed, lower-cased header names
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const s = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  const nonEmpty = rows.filter(r => r.some(v => v.trim() !== ''));
+  if (!nonEmpty.length) return [];
+  const headers = nonEmpty[0].map(h => h.trim().toLowerCase());
+  return nonEmpty.slice(1).map(r => {
+    const obj = {};
+    headers.forEach((h, i) => { obj[h] = (r[i] ?? '').trim(); });
+    return obj;
+  });
+}
+
+// [{ header: value }] -> CSV text (quotes fields containing , " or newlines)
+export function toCsv(rows, headers = Object.keys(rows[0] || {})) {
+  const cell = v => {
+    const s = String(v ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [headers, ...rows.map(r => headers.map(h => r[h]))]
+    .map(r => r.map(cell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// ---- track columns ----
+const AUDIO_COLUMNS = ['audio_url', 'audio', 'url', 'mp3'];
+const ID_COLUMNS = ['id', 'track_id', 'sku', 'slug'];
+
+function pickColumn(envName, candidates, headers) {
+  const configured = (process.env[envName] || '').trim().toLowerCase();
+  if (configured) return configured;
+  return candidates.find(c => headers.includes(c)) || null;
+}
+
+// Column holding the audio file URL (LIBRARY_AUDIO_COLUMN, else the first of audio_url / audio / url / mp3)
+export function audioColumn(headers) {
+  return pickColumn('LIBRARY_AUDIO_COLUMN', AUDIO_COLUMNS, headers);
+}
+
+// Stable track id (LIBRARY_ID_COLUMN, else the first of id / track_id / sku / slug, else the slugified title)
+export function trackIdOf(row) {
+  const col = pickColumn('LIBRARY_ID_COLUMN', ID_COLUMNS, Object.keys(row || {}));
+  return String((col && row[col]) || slugify(row?.title || row?.name)).trim();
+}
+
+// -> { row, audioUrl } for a track id, or null
+export function findTrack(rows, trackId) {
+  const id = String(trackId || '').trim();
+  const row = id ? rows.find(r => trackIdOf(r) === id) : null;
+  const col = audioColumn(Object.keys(rows[0] || {}));
+  if (!row || !col || !row[col]) return null;
+  return { row, audioUrl: row[col] };
+}
+
+// Public catalogue listing: the CSV without its audio column, so files are only reachable
+// through signed /api/stream links. -> { text, etag } (memoized for the last CSV text seen)
+let publicListing = null; // { source, text, etag }
+export function publicLibraryCsv(source) {
+  if (publicListing?.source !== source) {
+    const rows = parseCsv(source);
+    const headers = Object.keys(rows[0] || {});
+    const col = audioColumn(headers);
+    const text = toCsv(rows, headers.filter(h => h !== col));
+    publicListing = { source, text, etag: contentEtag(text) };
+  }
+  return { text: publicListing.text, etag: publicListing.etag };
+}
+
+// "Deep Sleep" -> "deep-sleep" (saved selections use these slugs)
+export function slugify(value) {
+  return String(value || '').trim().toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
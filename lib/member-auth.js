@@ -0,0 +1,112 @@
+// lib/member-auth.js
+// Verified member identity for storefront-facing endpoints (/api/categories, /api/cats, ...).
+// A bare email in the query/body is NOT proof of anything.
+//
+// The browser sends one of these as `Authorization: Bearer <token>` (or `X-Member-Token`):
+//
+//   1) BigCommerce Current Customer JWT — fetched in the theme from
+//      /customer/current.jwt?app_client_id=<BC_CLIENT_ID>, HS256-signed with the app's
+//      client secret (BC_CLIENT_SECRET). Payload: { customer: { id, email, group_id }, store_hash, exp, ... }
+//
+//   2) Member token issued by our storefront code: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+//      signed with MEMBER_TOKEN_SECRET. Payload: { email, bcId?, exp } (exp in seconds).
+//      Create them with signMemberToken().
+//
+// -> { email, bcId, via: 'bc-jwt' | 'member-token' } or null
+
+import crypto from 'crypto';
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function hmacB64(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function parseJson(b64) {
+  try { return JSON.parse(Buffer.from(b64, 'base64url').toString('utf8')); } catch { return null; }
+}
+
+function notExpired(exp, nowSec) {
+  return Number(exp) > nowSec;
+}
+
+function verifyBcJwt(token, nowSec) {
+  const secret = (process.env.BC_CLIENT_SECRET || '').trim();
+  const parts = token.split('.');
+  if (!secret || parts.length !== 3) return null;
+
+  const header = parseJson(parts[0]);
+  if (header?.alg !== 'HS256') return null;
+  if (!safeEqual(parts[2], hmacB64(secret, `${parts[0]}.${parts[1]}`))) return null;
+
+  const payload = parseJson(parts[1]);
+  if (!payload || !notExpired(payload.exp, nowSec)) return null;
+  const storeHash = (process.env.BC_STORE_HASH || '').trim();
+  if (storeHash && payload.store_hash && payload.store_hash !== storeHash) return null;
+
+  const email = String(payload.customer?.email || '').trim().toLowerCase();
+  if (!email) return null;
+  return { email, bcId: Number(payload.customer?.id || 0) || null, via: 'bc-jwt' };
+}
+
+function verifySignedMemberToken(token, nowSec) {
+  const secret = (process.env.MEMBER_TOKEN_SECRET || '').trim();
+  const parts = token.split('.');
+  if (!secret || parts.length !== 2) return null;
+  if (!safeEqual(parts[1], hmacB64(secret, parts[0]))) return null;
+
+  const payload = parseJson(parts[0]);
+  if (!payload || !notExpired(payload.exp, nowSec)) return null;
+  const email = String(payload.email || '').trim().toLowerCase();
+  if (!email) return null;
+  return { email, bcId: Number(payload.bcId || 0) || null, via: 'member-token' };
+}
+
+export function verifyMemberToken(token, nowSec = Math.floor(Date.now() / 1000)) {
+  const t = String(token || '').trim();
+  if (!t) return null;
+  return t.split('.').length === 3 ? verifyBcJwt(t, nowSec) : verifySignedMemberToken(t, nowSec);
+}
+
+export function memberTokenFromRequest(req) {
+  const auth = String(req.headers['authorization'] || '').trim();
+  if (/^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, '');
+  return String(req.headers['x-member-token'] || '').trim();
+}
+
+export function getMemberIdentity(req) {
+  return verifyMemberToken(memberTokenFromRequest(req));
+}
+
+// For storefront code that mints member tokens (MEMBER_TOKEN_SECRET)
+export function signMemberToken({ email, bcId = null, ttlSeconds = 3600 }) {
+  const secret = (process.env.MEMBER_TOKEN_SECRET || '').trim();
+  if (!secret) throw new Error('MEMBER_TOKEN_SECRET is not set');
+  const payload = {
+    email: String(email || '').trim().toLowerCase(),
+    ...(bcId ? { bcId: Number(bcId) } : {}),
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${hmacB64(secret, body)}`;
+}
+
+// The storefront's origin (SITE_ORIGIN, no trailing slash)
+export function siteOrigin() {
+  return (process.env.SITE_ORIGIN || 'https://www.brainwaveentrainmentstore.net').replace(/\/+$/, '');
+}
+
+// CORS for storefront-called endpoints: only SITE_ORIGIN, same as api/library.js
+export function allowStorefrontCors(req, res, methods = 'GET,POST,OPTIONS') {
+  const allowed = siteOrigin();
+  const origin = req.headers.origin || '';
+  res.setHeader('Vary', 'Origin');
+  if (origin !== allowed) return;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, X-Member-Token, X-Admin-Key');
+}
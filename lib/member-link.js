@@ -0,0 +1,98 @@
+// lib/member-link.js
+// Durable link between a Stripe customer and a BigCommerce customer, so cancellations and
+// plan changes still find the member after they change their email on either side.
+//
+//   Stripe side: customer.metadata.bc_customer_id
+//   BC side:     customer attribute BC_STRIPE_ATTRIBUTE_ID (optional; a text attribute you
+//                create under Customers → Customer attributes) holding the Stripe customer id
+//
+// Lookups prefer the link and fall back to email; a successful email match is linked on the way.
+
+import { stripe } from './stripe.js';
+import { bc } from './bigcommerce.js';
+
+export const STRIPE_BC_ID_KEY = 'bc_customer_id';
+
+function bcAttributeId() {
+  return Number(process.env.BC_STRIPE_ATTRIBUTE_ID || 0) || null;
+}
+
+async function retrieveStripeCustomer(stripeCustomer) {
+  if (!stripeCustomer) return null;
+  if (typeof stripeCustomer === 'object') return stripeCustomer;
+  try {
+    const c = await stripe.customers.retrieve(stripeCustomer);
+    return c && !c.deleted ? c : null;
+  } catch (e) {
+    console.warn(`Stripe customer ${stripeCustomer} retrieve failed:`, e.message);
+    return null;
+  }
+}
+
+// Write the link on both sides (BC side only when BC_STRIPE_ATTRIBUTE_ID is configured)
+export async function linkCustomers(stripeCustomerId, bcId) {
+  await stripe.customers.update(stripeCustomerId, { metadata: { [STRIPE_BC_ID_KEY]: String(bcId) } });
+  const attr = bcAttributeId();
+  if (attr) await bc.setCustomerAttribute(bcId, attr, stripeCustomerId);
+  console.log(`🔗 Linked Stripe ${stripeCustomerId} ↔ BC ${bcId}`);
+}
+
+// stripeCustomer: id or already-retrieved customer object; email: fallback when there is no link.
+// hintBcId: BC id we put in Checkout session metadata (api/billing/checkout.js), tried first.
+// link: false to only look (dry runs).
+// -> { bcId, via: 'hint' | 'link' | 'email' } or { bcId: null }
+export async function resolveBcCustomerId({ stripeCustomer = null, email = null, hintBcId = null, link = true } = {}) {
+  const customer = await retrieveStripeCustomer(stripeCustomer);
+
+  const hinted = Number(hintBcId || 0);
+  if (hinted && await bc.getCustomer(hinted)) {
+    if (link && customer?.id && Number(customer.metadata?.[STRIPE_BC_ID_KEY] || 0) !== hinted) {
+      await linkCustomers(customer.id, hinted).catch(e => console.warn('Linking failed:', e.message));
+    }
+    return { bcId: hinted, via: 'hint' };
+  }
+
+  const linked = Number(customer?.metadata?.[STRIPE_BC_ID_KEY] || 0);
+  if (linked) {
+    if (await bc.getCustomer(linked)) return { bcId: linked, via: 'link' };
+    console.warn(`Stripe ${customer.id} links to missing BC customer ${linked}; falling back to email`);
+  }
+
+  const lookupEmail = email || customer?.email || null;
+  const bcId = await bc.lookupCustomerIdByEmail(lookupEmail);
+  if (!bcId) return { bcId: null };
+
+  if (link && customer?.id && linked !== Number(bcId)) {
+    // Linking is best-effort: never fail the membership change because of it
+    await linkCustomers(customer.id, bcId).catch(e => console.warn('Linking failed:', e.message));
+  }
+  return { bcId, via: 'email' };
+}
+
+// Reverse direction: the Stripe customer id for a BC customer (attribute → metadata search → email)
+export async function findStripeCustomerId(bcId, email = null) {
+  const attr = bcAttributeId();
+  if (attr) {
+    const value = (await bc.getCustomerAttributes(bcId))[attr];
+    if (value) return value;
+  }
+  try {
+    const found = await stripe.customers.search({ query: `metadata['${STRIPE_BC_ID_KEY}']:'${Number(bcId)}'`, limit: 1 });
+    if (found.data[0]) return found.data[0].id;
+  } catch (e) {
+    console.warn('Stripe customer search failed:', e.message);
+  }
+  if (!email) return null;
+  const byEmail = await stripe.customers.list({ email: String(email).trim().toLowerCase(), limit: 1 });
+  return byEmail.data[0]?.id || null;
+}
+
+// customer.updated: make sure the link exists and still points at a real BC customer
+export async function syncLinkForStripeCustomer(customer) {
+  const { bcId, via } = await resolveBcCustomerId({ stripeCustomer: customer });
+  if (bcId && via === 'link' && bcAttributeId()) {
+    const attrs = await bc.getCustomerAttributes(bcId);
+    if (attrs[bcAttributeId()] !== customer.id) await bc.setCustomerAttribute(bcId, bcAttributeId(), customer.id);
+  }
+  return { bcId, via };
+}
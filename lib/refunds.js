@@ -0,0 +1,65 @@
+// lib/refunds.js
+// What to do with a member's group when money goes back: refunds, chargebacks, voided invoices.
+//
+// One action per case; env var or [key] in REFUND_CONFIG (lib/env-config.js):
+//   REFUND_FULL_ACTION      remove (default) | keep     charge.refunded for the whole amount  [fullRefund]
+//   REFUND_PARTIAL_ACTION   ignore (default) | remove   charge.refunded for part of it        [partialRefund]
+//   DISPUTE_OPENED_ACTION   remove (default) | keep     charge.dispute.created                [disputeOpened]
+//   DISPUTE_WON_ACTION      restore (default) | keep    charge.dispute.closed in our favour   [disputeWon]
+//   INVOICE_VOIDED_ACTION   remove (default) | ignore   invoice.voided                        [invoiceVoided]
+//
+// "remove" puts a hold on the subscription the money belonged to:
+//   refund-hold:sub:<subscription id> -> { kind: refund | dispute | voided, chargeId, invoiceId, reason, at }
+// Held subscriptions grant nothing (api/stripe-webhook.js groupForStripeCustomer), so later
+// events can't quietly give the access back. A refund/voided hold ends when a later invoice of
+// that subscription is paid; a dispute hold only when the dispute is won (or by hand).
+// Charges without a subscription (one-off purchases) have nothing to hold and leave the group
+// alone, as do customers in a group the integration doesn't manage (wholesale, staff, ...).
+
+import { getStore } from './store.js';
+import { loadEnvConfig, setting, oneOf } from './env-config.js';
+
+const HOLD_PREFIX = 'refund-hold:sub:';
+
+export function loadRefundPolicy(env = process.env) {
+  return loadEnvConfig('REFUND_CONFIG', {
+    fullRefund: setting('REFUND_FULL_ACTION', oneOf('remove', 'keep')),
+    partialRefund: setting('REFUND_PARTIAL_ACTION', oneOf('ignore', 'remove')),
+    disputeOpened: setting('DISPUTE_OPENED_ACTION', oneOf('remove', 'keep')),
+    disputeWon: setting('DISPUTE_WON_ACTION', oneOf('restore', 'keep')),
+    invoiceVoided: setting('INVOICE_VOIDED_ACTION', oneOf('remove', 'ignore'))
+  }, env);
+}
+
+export function isFullRefund(charge) {
+  return Boolean(charge?.refunded) || Number(charge?.amount_refunded || 0) >= Number(charge?.amount || 0);
+}
+
+// Disputes closed as won, or inquiries closed without a chargeback
+export function isDisputeWon(dispute) {
+  return dispute?.status === 'won' || dispute?.status === 'warning_closed';
+}
+
+// ---- subscription holds ----
+export async function getHold(subscriptionId, store = getStore()) {
+  return subscriptionId ? store.get(HOLD_PREFIX + subscriptionId) : null;
+}
+
+export async function placeHold(subscriptionId, { kind, chargeId = null, invoiceId = null, reason = '' }, store = getStore()) {
+  const hold = { kind, chargeId, invoiceId, reason, at: new Date().toISOString() };
+  await store.set(HOLD_PREFIX + subscriptionId, hold);
+  return hold;
+}
+
+export async function releaseHold(subscriptionId, store = getStore()) {
+  await store.del(HOLD_PREFIX + subscriptionId);
+}
+
+// invoice.payment_succeeded: a newly paid invoice ends a refund/voided hold (not a dispute hold)
+// -> the released hold, or null
+export async function releaseHoldOnPayment(subscriptionId, invoiceId, store = getStore()) {
+  const hold = await getHold(subscriptionId, store);
+  if (!hold || hold.kind === 'dispute' || hold.invoiceId === invoiceId) return null;
+  await releaseHold(subscriptionId, store);
+  return hold;
+}
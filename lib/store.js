@@ -0,0 +1,126 @@
+// lib/store.js
+// Tiny key/value store with pluggable adapters, shared by anything that needs to
+// remember state between invocations (event ledger, queues, ...).
+//
+// Pick the adapter with BWE_STORE:
+//   memory  -> per-process Map (local testing only)
+//   file    -> JSON file at BWE_STORE_FILE (default .data/bwe-store.json) for local dev
+//   kv      -> Upstash / Vercel KV REST API (KV_REST_API_URL + KV_REST_API_TOKEN)
+// Without BWE_STORE: kv when the KV_REST_API_* env is there, else memory — but only in local
+// dev. Deployed (VERCEL_ENV preview/production or NODE_ENV=production) memory and file would
+// lose the ledger, dead letters, audit trail, holds and revocations on every cold start, so
+// getStore() throws there instead.
+//
+// Every adapter exposes the same async methods:
+//   get(key) -> value | null
+//   set(key, value)
+//   del(key)
+//   keys(prefix) -> [key, ...]
+//   push(key, value)  append to a list (created on first push)
+//   list(key) -> [value, ...] in push order ([] when missing)
+// Values are plain JSON-serialisable data.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// ---- memory ----
+export function memoryAdapter() {
+  const map = new Map();
+  return {
+    async get(key) { return map.has(key) ? structuredClone(map.get(key)) : null; },
+    async set(key, value) { map.set(key, structuredClone(value)); },
+    async del(key) { map.delete(key); },
+    async keys(prefix = '') { return [...map.keys()].filter(k => k.startsWith(prefix)); },
+    async push(key, value) {
+      const arr = Array.isArray(map.get(key)) ? map.get(key) : [];
+      arr.push(structuredClone(value));
+      map.set(key, arr);
+    },
+    async list(key) { return Array.isArray(map.get(key)) ? structuredClone(map.get(key)) : []; }
+  };
+}
+
+// ---- file (local dev only: whole file is read/written on every call) ----
+export function fileAdapter(filePath) {
+  const file = path.resolve(filePath || process.env.BWE_STORE_FILE || '.data/bwe-store.json');
+
+  async function load() {
+    const txt = await fs.readFile(file, 'utf8').catch(() => '');
+    try { return JSON.parse(txt || '{}'); } catch { return {}; }
+  }
+  async function save(data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data, null, 2));
+  }
+
+  return {
+    async get(key) { const data = await load(); return key in data ? data[key] : null; },
+    async set(key, value) { const data = await load(); data[key] = value; await save(data); },
+    async del(key) { const data = await load(); delete data[key]; await save(data); },
+    async keys(prefix = '') { return Object.keys(await load()).filter(k => k.startsWith(prefix)); },
+    async push(key, value) {
+      const data = await load();
+      data[key] = Array.isArray(data[key]) ? data[key] : [];
+      data[key].push(value);
+      await save(data);
+    },
+    async list(key) { const data = await load(); return Array.isArray(data[key]) ? data[key] : []; }
+  };
+}
+
+// ---- Upstash / Vercel KV REST ----
+export function kvAdapter({ url, token } = {}) {
+  const base = (url || process.env.KV_REST_API_URL || '').replace(/\/+$/, '');
+  const auth = token || process.env.KV_REST_API_TOKEN || '';
+  if (!base || !auth) throw new Error('kv store needs KV_REST_API_URL and KV_REST_API_TOKEN');
+
+  async function command(args) {
+    const r = await fetch(base, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${auth}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+    const txt = await r.text().catch(() => '');
+    if (!r.ok) throw new Error(`kv ${args[0]} ${r.status}: ${txt}`);
+    return JSON.parse(txt || '{}').result;
+  }
+
+  return {
+    async get(key) {
+      const raw = await command(['GET', key]);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async set(key, value) { await command(['SET', key, JSON.stringify(value)]); },
+    async del(key) { await command(['DEL', key]); },
+    async keys(prefix = '') { return (await command(['KEYS', `${prefix}*`])) || []; },
+    async push(key, value) { await command(['RPUSH', key, JSON.stringify(value)]); },
+    async list(key) { return ((await command(['LRANGE', key, 0, -1])) || []).map(x => JSON.parse(x)); }
+  };
+}
+
+// ---- shared instance (selected by env) ----
+let shared = null;
+
+function isDeployed() {
+  const vercelEnv = (process.env.VERCEL_ENV || '').trim();
+  return vercelEnv === 'production' || vercelEnv === 'preview' || process.env.NODE_ENV === 'production';
+}
+
+export function getStore() {
+  if (shared) return shared;
+  const hasKv = Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+  const kind = (process.env.BWE_STORE || (hasKv ? 'kv' : 'memory')).trim().toLowerCase();
+  if ((kind === 'memory' || kind === 'file') && isDeployed()) {
+    throw new Error(`BWE_STORE "${kind}" is not durable on a deployment; set BWE_STORE=kv with KV_REST_API_URL and KV_REST_API_TOKEN`);
+  }
+  if (kind === 'file') shared = fileAdapter();
+  else if (kind === 'kv') shared = kvAdapter();
+  else if (kind === 'memory') shared = memoryAdapter();
+  else throw new Error(`Unknown BWE_STORE "${kind}" (expected memory, file or kv)`);
+  return shared;
+}
+
+// Swap the adapter (tests / custom backends). Pass null to go back to the env default.
+export function setStore(adapter) {
+  shared = adapter;
+}
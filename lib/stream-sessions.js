@@ -0,0 +1,110 @@
+// lib/stream-sessions.js
+// Per-member stream bookkeeping in the shared store (lib/store.js):
+//
+//   stream:active:<member>          -> { <link id>: last seen (ms), ... }
+//     A link counts as one active stream while a response for it is being sent, and for up to
+//     STREAM_SESSION_IDLE_SECONDS (default 120) after a response that never finished cleanly
+//     (crashed instance); range requests for the same link share it.
+//     The limit comes from the link itself (claim c = tier streaming.maxConcurrent).
+//     Best effort: the store has no atomic updates, so two streams starting in the same
+//     instant can both get through.
+//
+//   stream:revoked:link:<link id>   -> { exp, reason, actor, at }   one leaked link
+//   stream:revoked:member:<member>  -> { before, reason, actor, at } every link issued to the
+//                                      member up to `before` (unix seconds)
+// Revocations are managed with api/stream/revoke.js.
+
+import { getStore } from './store.js';
+
+const ACTIVE_PREFIX = 'stream:active:';
+const LINK_PREFIX = 'stream:revoked:link:';
+const MEMBER_PREFIX = 'stream:revoked:member:';
+
+const idleMs = () => Math.max(30, parseInt(process.env.STREAM_SESSION_IDLE_SECONDS || '120', 10) || 120) * 1000;
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// ---- concurrent streams ----
+function prune(sessions, now) {
+  const out = {};
+  for (const [id, seen] of Object.entries(sessions || {})) if (now - Number(seen) < idleMs()) out[id] = seen;
+  return out;
+}
+
+// -> { ok: true } or { ok: false, active } when the member is already at their limit
+export async function claimStreamSlot(claims, store = getStore(), now = Date.now()) {
+  const key = ACTIVE_PREFIX + claims.m;
+  const sessions = prune(await store.get(key), now);
+  const limit = Math.max(1, Number(claims.c) || 1);
+  if (!(claims.j in sessions) && Object.keys(sessions).length >= limit) {
+    return { ok: false, active: Object.keys(sessions).length };
+  }
+  sessions[claims.j] = now;
+  await store.set(key, sessions);
+  return { ok: true };
+}
+
+// Keep a long-running stream counted (call periodically while bytes are flowing)
+export async function touchStreamSlot(claims, store = getStore(), now = Date.now()) {
+  const key = ACTIVE_PREFIX + claims.m;
+  const sessions = prune(await store.get(key), now);
+  sessions[claims.j] = now;
+  await store.set(key, sessions);
+}
+
+// The response for this link ended (finished, skipped, closed tab): free the slot right away
+export async function releaseStreamSlot(claims, store = getStore(), now = Date.now()) {
+  const key = ACTIVE_PREFIX + claims.m;
+  const sessions = prune(await store.get(key), now);
+  delete sessions[claims.j];
+  if (Object.keys(sessions).length) await store.set(key, sessions);
+  else await store.del(key);
+}
+
+// ---- revocation ----
+// -> reason string when the link may no longer be used, else null
+export async function revokedReason(claims, store = getStore()) {
+  const link = await store.get(LINK_PREFIX + claims.j);
+  if (link) return link.reason || 'link revoked';
+  const member = await store.get(MEMBER_PREFIX + claims.m);
+  if (member && Number(claims.iat) <= Number(member.before)) return member.reason || 'member links revoked';
+  return null;
+}
+
+export async function revokeLink(linkId, { exp = null, reason = '', actor = 'admin' } = {}, store = getStore()) {
+  const entry = { exp: exp ? Number(exp) : null, reason, actor, at: new Date().toISOString() };
+  await store.set(LINK_PREFIX + linkId, entry);
+  return entry;
+}
+
+export async function revokeMemberLinks(memberId, { reason = '', actor = 'admin' } = {}, store = getStore()) {
+  const entry = { before: nowSec(), reason, actor, at: new Date().toISOString() };
+  await store.set(MEMBER_PREFIX + memberId, entry);
+  // Their current streams stop counting against the limit
+  await store.del(ACTIVE_PREFIX + memberId);
+  return entry;
+}
+
+export async function unrevoke({ linkId = null, memberId = null }, store = getStore()) {
+  if (linkId) await store.del(LINK_PREFIX + linkId);
+  if (memberId) await store.del(MEMBER_PREFIX + memberId);
+}
+
+// -> { links: [{ linkId, ... }], members: [{ memberId, ... }] }; expired link entries are dropped
+export async function listRevocations(store = getStore()) {
+  const links = [];
+  for (const key of await store.keys(LINK_PREFIX)) {
+    const entry = await store.get(key);
+    const linkId = key.slice(LINK_PREFIX.length);
+    if (entry?.exp && entry.exp < nowSec()) await store.del(key);
+    else if (entry) links.push({ linkId, ...entry });
+  }
+  const members = [];
+  for (const key of await store.keys(MEMBER_PREFIX)) {
+    const entry = await store.get(key);
+    if (entry) members.push({ memberId: key.slice(MEMBER_PREFIX.length), ...entry });
+  }
+  return { links, members };
+}
@@ -0,0 +1,91 @@
+// lib/stream-source.js
+// Where /api/stream may fetch audio from, so a signed link can't turn it into an open proxy.
+//
+// STREAM_ALLOWED_SOURCES: comma-separated URL prefixes, e.g.
+//   https://store-abc.mybigcommerce.com/content/,https://bwe-audio.s3.amazonaws.com/tracks/
+// Scheme, host (exact; "*.example.com" for subdomains) and path prefix must all match.
+// Default: the library CSV's host (the BigCommerce WebDAV content folder).
+//
+// Every hop is checked: redirects are followed by hand against the same list, and hosts that
+// resolve to private, loopback or link-local addresses are refused.
+
+import dns from 'dns/promises';
+import net from 'net';
+import { libraryCsvUrl } from './library.js';
+
+const MAX_REDIRECTS = 3;
+
+const PRIVATE = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([addr, bits]) => PRIVATE.addSubnet(addr, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([addr, bits]) => PRIVATE.addSubnet(addr, bits, 'ipv6'));
+
+function sourceError(message) {
+  const err = new Error(message);
+  err.status = 403;
+  return err;
+}
+
+export function allowedSources() {
+  const raw = (process.env.STREAM_ALLOWED_SOURCES || '').trim();
+  const entries = raw ? raw.split(',').map(x => x.trim()).filter(Boolean) : [`${new URL(libraryCsvUrl()).origin}/`];
+  return entries.map(entry => {
+    const u = new URL(entry.includes('://') ? entry : `https://${entry}`);
+    return { protocol: u.protocol, host: u.hostname.toLowerCase(), port: u.port, path: u.pathname || '/' };
+  });
+}
+
+function hostMatches(pattern, host) {
+  return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+}
+
+export function isAllowedSource(url, sources = allowedSources()) {
+  let u;
+  try { u = new URL(url); } catch { return false; }
+  if (u.username || u.password) return false;
+  return sources.some(s =>
+    s.protocol === u.protocol &&
+    hostMatches(s.host, u.hostname.toLowerCase()) &&
+    s.port === u.port &&
+    u.pathname.startsWith(s.path)
+  );
+}
+
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE.check(mapped[1], 'ipv4');
+  return PRIVATE.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) {
+    throw sourceError(`stream source ${hostname} resolves to a private address`);
+  }
+}
+
+// fetch() that only talks to allowlisted, public hosts (redirects included).
+// Throws Error with .status 403 when a hop is refused.
+export async function fetchStreamSource(url, { headers = {} } = {}) {
+  const sources = allowedSources();
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!isAllowedSource(current, sources)) throw sourceError(`stream source not allowed: ${current}`);
+    await assertPublicHost(new URL(current).hostname);
+
+    const res = await fetch(current, { headers, redirect: 'manual' });
+    const location = res.headers.get('location');
+    if (res.status < 300 || res.status >= 400 || !location) return res;
+    await res.body?.cancel().catch(() => {});
+    current = new URL(location, current).toString();
+  }
+  throw sourceError(`too many redirects for ${url}`);
+}
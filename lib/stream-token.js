@@ -0,0 +1,88 @@
+// lib/stream-token.js
+// Signed /api/stream links. A link names a library track id (never a raw file URL):
+//   /api/stream?t=<trackId>&exp=..&iat=..&m=<BC customer id>&j=<link id>&c=<max streams>[&h=..]&sig=<hex>
+//   sig = HMAC-SHA256(TOKEN_SECRET, the link's claims as sorted "k=v" pairs joined with "&")
+//
+//   m  member the link was issued to (concurrent-stream limit and revocation are per member)
+//   j  random link id (one playback; support can revoke it, see lib/stream-sessions.js)
+//   c  the member's tier streaming.maxConcurrent at issue time
+//   r  the member's tier id at issue time (play analytics, lib/analytics.js)
+//   h  optional client binding, STREAM_BIND_CLIENT = ip | ua | ip+ua: a keyed hash of the
+//      caller's IP and/or User-Agent, so a copied link doesn't play elsewhere. Off by default
+//      (mobile IPs change mid-session).
+// api/stream.js verifies them and looks the track's audio URL up in the library CSV; links are
+// only handed out for tracks a member is entitled to (the member library feed,
+// api/stream/token.js), and the public listing drops the audio column, so nobody sees the raw
+// file location.
+// There is no default secret: without TOKEN_SECRET nothing can be signed or streamed.
+
+import crypto from 'crypto';
+
+export function streamSecret() {
+  return (process.env.TOKEN_SECRET || '').trim();
+}
+
+function canonical(claims) {
+  return Object.keys(claims)
+    .filter(k => k !== 'sig' && claims[k] !== undefined && claims[k] !== null && claims[k] !== '')
+    .sort()
+    .map(k => `${k}=${claims[k]}`)
+    .join('&');
+}
+
+export function streamSignature(claims) {
+  const key = streamSecret();
+  if (!key) throw new Error('TOKEN_SECRET is not set');
+  return crypto.createHmac('sha256', key).update(canonical(claims)).digest('hex');
+}
+
+// Constant-time check of a link's sig (claims = the query params, sig included)
+export function verifyStreamSignature(claims) {
+  const expected = Buffer.from(streamSignature(claims));
+  const given = Buffer.from(String(claims.sig || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Longest link lifetime api/stream.js accepts (STREAM_MAX_MIN)
+export function maxStreamSeconds() {
+  return parseInt(process.env.STREAM_MAX_MIN || '70', 10) * 60;
+}
+
+function clientIp(req) {
+  const fwd = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return fwd || String(req.headers['x-real-ip'] || req.socket?.remoteAddress || '');
+}
+
+// Keyed hash of the request's IP / UA per STREAM_BIND_CLIENT, or null when binding is off
+export function clientHash(req) {
+  const mode = (process.env.STREAM_BIND_CLIENT || '').trim().toLowerCase();
+  if (!mode || !req) return null;
+  const parts = [];
+  if (mode.includes('ip')) parts.push(clientIp(req));
+  if (mode.includes('ua')) parts.push(String(req.headers['user-agent'] || ''));
+  if (!parts.length) return null;
+  return crypto.createHmac('sha256', streamSecret()).update(`client|${parts.join('|')}`).digest('hex').slice(0, 32);
+}
+
+// opts: { ttlSeconds, memberId, maxConcurrent, tierId, req (the issuing request, for client binding) }
+// -> { url: "/api/stream?t=...&sig=...", exp, linkId } (url is relative; prefix with the API origin if needed)
+export function signStreamLink(trackId, { ttlSeconds = maxStreamSeconds(), memberId, maxConcurrent = 1, tierId = null, req = null } = {}, nowSec = Math.floor(Date.now() / 1000)) {
+  if (!memberId) throw new Error('signStreamLink needs the member the link is for');
+  const claims = {
+    t: String(trackId),
+    exp: String(nowSec + Math.min(ttlSeconds, maxStreamSeconds())),
+    iat: String(nowSec),
+    m: String(memberId),
+    j: crypto.randomBytes(9).toString('base64url'),
+    c: String(Math.max(1, Number(maxConcurrent) || 1))
+  };
+  if (tierId) claims.r = String(tierId);
+  const h = clientHash(req);
+  if (h) claims.h = h;
+  const qs = new URLSearchParams({ ...claims, sig: streamSignature(claims) });
+  return { url: `/api/stream?${qs}`, exp: Number(claims.exp), linkId: claims.j };
+}
+
+export function signStreamUrl(trackId, opts, nowSec) {
+  return signStreamLink(trackId, opts, nowSec).url;
+}
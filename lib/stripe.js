@@ -0,0 +1,6 @@
+// lib/stripe.js
+// Shared Stripe client (STRIPE_SECRET), pinned to the API version the webhook was written against.
+
+import Stripe from 'stripe';
+
+export const stripe = new Stripe(process.env.STRIPE_SECRET, { apiVersion: '2024-06-20' });
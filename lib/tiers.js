@@ -0,0 +1,200 @@
+// lib/tiers.js
+// Single source of truth for membership tiers: Stripe prices → BC customer group →
+// category limit → streaming entitlements. Loaded once per cold start; an invalid config
+// throws at import so the deployment fails loudly instead of silently granting nothing.
+//
+// TIERS_CONFIG (JSON), tiers listed from LOWEST to HIGHEST (later entries win when a
+// customer has several subscriptions):
+//   [
+//     { "id": "intro", "name": "Intro", "groupId": 2, "categoryLimit": 2,
+//       "prices": { "monthly": "price_...", "annual": "price_..." },
+//       "extraPriceIds": ["price_old_..."],                          (optional)
+//       "streaming": { "maxMinutes": 70, "maxConcurrent": 1 } },
+//     ...
+//   ]
+//
+// Without TIERS_CONFIG the legacy PRICE_TO_GROUP_MAP ({ "price_...": 2 }) is used, with the old
+// limits Intro=2 / Standard=3 / Collective=4 (groups 2/3/4) — it must still be valid JSON.
+// Legacy tiers are ranked by GROUP_PRIORITY (group ids from highest to lowest tier, e.g. "4,3,2";
+// unlisted groups rank below, by group id). With TIERS_CONFIG the list order is the ranking, so
+// GROUP_PRIORITY set alongside it is an error.
+
+const LEGACY_LIMITS = { 2: 2, 3: 3, 4: 4 };
+const INTERVALS = ['monthly', 'annual'];
+
+function fail(msg) {
+  throw new Error(`Invalid tier config: ${msg}`);
+}
+
+function positiveInt(value, what) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) fail(`${what} must be a positive integer (got ${JSON.stringify(value)})`);
+  return n;
+}
+
+function defaultStreaming() {
+  return { maxMinutes: parseInt(process.env.STREAM_MAX_MIN || '70', 10) || 70, maxConcurrent: 2 };
+}
+
+function parseJsonEnv(name) {
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (e) {
+    fail(`${name} is not valid JSON (${e.message})`);
+  }
+}
+
+function groupPriority() {
+  return String(process.env.GROUP_PRIORITY || '').split(',').map(x => x.trim()).filter(Boolean)
+    .map((g, i) => positiveInt(g, `GROUP_PRIORITY[${i}]`));
+}
+
+function legacyTiers() {
+  const priority = groupPriority();
+  // Higher = better: listed groups above unlisted ones, unlisted by group id
+  const rank = groupId => (priority.includes(groupId) ? 1e6 + priority.length - priority.indexOf(groupId) : groupId);
+  const map = process.env.PRICE_TO_GROUP_MAP ? parseJsonEnv('PRICE_TO_GROUP_MAP') : {};
+  if (!map || typeof map !== 'object' || Array.isArray(map)) fail('PRICE_TO_GROUP_MAP must be an object');
+  const byGroup = new Map();
+  for (const [priceId, group] of Object.entries(map)) {
+    const groupId = positiveInt(group, `PRICE_TO_GROUP_MAP["${priceId}"]`);
+    if (!byGroup.has(groupId)) byGroup.set(groupId, []);
+    byGroup.get(groupId).push(priceId);
+  }
+  return [...byGroup.entries()]
+    .sort((a, b) => rank(a[0]) - rank(b[0]))
+    .map(([groupId, priceIds]) => ({
+      id: `group-${groupId}`,
+      name: `Group ${groupId}`,
+      groupId,
+      categoryLimit: LEGACY_LIMITS[groupId] || 2,
+      // The legacy map doesn't say which price is which interval
+      prices: {},
+      extraPriceIds: priceIds,
+      streaming: defaultStreaming()
+    }));
+}
+
+export function validateTiers(raw) {
+  const list = Array.isArray(raw) ? raw : raw?.tiers;
+  if (!Array.isArray(list) || !list.length) fail('expected a non-empty array of tiers');
+
+  const ids = new Set();
+  const groups = new Set();
+  const prices = new Set();
+  return list.map((t, i) => {
+    const where = `tiers[${i}]`;
+    const id = String(t?.id || '').trim();
+    if (!id) fail(`${where}.id is required`);
+    if (ids.has(id)) fail(`duplicate tier id "${id}"`);
+    ids.add(id);
+
+    const groupId = positiveInt(t.groupId, `${where}.groupId`);
+    if (groups.has(groupId)) fail(`group ${groupId} is used by more than one tier`);
+    groups.add(groupId);
+
+    const tierPrices = {};
+    for (const [interval, priceId] of Object.entries(t.prices || {})) {
+      if (!INTERVALS.includes(interval)) fail(`${where}.prices.${interval}: interval must be one of ${INTERVALS.join(', ')}`);
+      if (typeof priceId !== 'string' || !priceId.trim()) fail(`${where}.prices.${interval} must be a Stripe price id`);
+      if (prices.has(priceId)) fail(`price ${priceId} is mapped to more than one tier`);
+      prices.add(priceId);
+      tierPrices[interval] = priceId.trim();
+    }
+    if (!Object.keys(tierPrices).length) fail(`${where}.prices needs at least one of ${INTERVALS.join(', ')}`);
+
+    // Grandfathered / one-off prices that also grant this tier
+    const extraPriceIds = Array.isArray(t.extraPriceIds) ? t.extraPriceIds.map(String) : [];
+    extraPriceIds.forEach(priceId => {
+      if (prices.has(priceId)) fail(`price ${priceId} is mapped to more than one tier`);
+      prices.add(priceId);
+    });
+
+    const streaming = { ...defaultStreaming(), ...(t.streaming || {}) };
+    return {
+      id,
+      name: String(t.name || id),
+      groupId,
+      categoryLimit: positiveInt(t.categoryLimit, `${where}.categoryLimit`),
+      prices: tierPrices,
+      extraPriceIds,
+      streaming: {
+        maxMinutes: positiveInt(streaming.maxMinutes, `${where}.streaming.maxMinutes`),
+        maxConcurrent: positiveInt(streaming.maxConcurrent, `${where}.streaming.maxConcurrent`)
+      }
+    };
+  });
+}
+
+export function loadTiers() {
+  if (process.env.TIERS_CONFIG) {
+    if (String(process.env.GROUP_PRIORITY || '').trim()) {
+      fail('GROUP_PRIORITY is not used with TIERS_CONFIG; list the tiers from lowest to highest instead and remove it');
+    }
+    return validateTiers(parseJsonEnv('TIERS_CONFIG'));
+  }
+  const legacy = legacyTiers();
+  if (legacy.length) console.warn('TIERS_CONFIG not set; deriving tiers from PRICE_TO_GROUP_MAP');
+  return legacy;
+}
+
+// Loaded at import: a bad config stops the function from starting
+export const TIERS = loadTiers();
+
+// ---- lookups ----
+function pricesOf(tier) {
+  return [...Object.values(tier.prices), ...tier.extraPriceIds];
+}
+
+export function tierByGroup(groupId) {
+  return TIERS.find(t => t.groupId === Number(groupId)) || null;
+}
+
+export function tierById(id) {
+  return TIERS.find(t => t.id === String(id || '').trim()) || null;
+}
+
+export function tierByPrice(priceId) {
+  return TIERS.find(t => pricesOf(t).includes(priceId)) || null;
+}
+
+// Stripe price for a tier + billing interval ('monthly' | 'annual'), or null
+export function priceForTier(tierId, interval) {
+  return tierById(tierId)?.prices[String(interval || '').trim().toLowerCase()] || null;
+}
+
+// Position in the config (higher = better tier); 0 for groups that are not tiers
+export function groupRank(groupId) {
+  return TIERS.findIndex(t => t.groupId === Number(groupId)) + 1;
+}
+
+// Highest tier group granted by any of the prices (null when none are mapped)
+export function priceToGroupId(priceIds) {
+  let best = null;
+  for (const pid of priceIds) {
+    const tier = pid ? tierByPrice(pid) : null;
+    if (tier && (best === null || groupRank(tier.groupId) > groupRank(best))) best = tier.groupId;
+  }
+  return best;
+}
+
+// Every BC group that some tier grants (i.e. the "membership" groups)
+export function membershipGroupIds() {
+  return new Set(TIERS.map(t => t.groupId));
+}
+
+// Categories a group may pick; 0 for groups that aren't a membership tier
+export function limitForGroup(groupId) {
+  return tierByGroup(groupId)?.categoryLimit || 0;
+}
+
+// What the storefront may see (no group ids or price ids)
+export function publicTiers() {
+  return TIERS.map(t => ({
+    id: t.id,
+    name: t.name,
+    categoryLimit: t.categoryLimit,
+    intervals: Object.keys(t.prices),
+    streaming: { ...t.streaming }
+  }));
+}